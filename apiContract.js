@@ -0,0 +1,168 @@
+// API Contract (v1)
+// Response shapes shared by every /v1 route. Every response carries the
+// request ID, which is also returned in the X-Request-Id header and can be
+// supplied by the caller to correlate retries.
+//
+// Send report - 202 while queued or sending, 200 once every message is final:
+//   {
+//     apiVersion: 'v1',
+//     requestId: string,
+//     jobId: string | null,          // null when sent without the queue
+//     status: 'queued' | 'processing' | 'completed',
+//     duplicate: boolean,            // true when an Idempotency-Key matched an earlier job
+//     counts: {
+//       total, sent, failed,         // failed includes messages that ran out of retries
+//       skipped,                     // no device to send to
+//       invalid,                     // malformed push token
+//       suppressed,                  // recipient's preferences
+//       pending                      // not sent yet
+//     },
+//     errors: [{ userId, token, status, code, error }],  // first 100 unsent messages; token is shortened
+//     statusUrl: string | null
+//   }
+//
+// Error - 4xx/5xx:
+//   {
+//     apiVersion: 'v1',
+//     requestId: string,
+//     error: { code: string, message: string, details: [{ field, message }] }
+//   }
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('apiContract');
+
+const API_VERSION = 'v1';
+
+// Caller-supplied request IDs are kept when they look like an ID
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+
+// Codes for messages skipped or suppressed before sending, by their stored error
+const SKIP_CODES = {
+  'Invalid push token': 'invalid_token',
+  'No push token': 'no_push_token',
+  'User not found': 'user_not_found'
+};
+
+/**
+ * Express middleware giving every request an ID (req.requestId and the X-Request-Id header)
+ */
+function assignRequestId(req, res, next) {
+  const supplied = req.get('X-Request-Id');
+  req.requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  res.set('X-Request-Id', req.requestId);
+  next();
+}
+
+/**
+ * Send a v1 error response
+ * @param {object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {object[]} [details] - { field, message } per problem
+ */
+function sendError(res, status, code, message, details = []) {
+  res.status(status).json({
+    apiVersion: API_VERSION,
+    requestId: res.req.requestId,
+    error: { code, message, details }
+  });
+}
+
+/**
+ * Send a v1 report for a queued job
+ * @param {object} res - Express response
+ * @param {object} job - From getJobReport
+ * @param {object} [extra] - Fields to add, e.g. { duplicate } or { invitationId }
+ */
+function sendJobReport(res, job, extra = {}) {
+  const { counts } = job;
+
+  sendReport(res, {
+    jobId: job.jobId,
+    status: job.status,
+    duplicate: false,
+    counts: {
+      total: job.total,
+      sent: counts.sent,
+      failed: counts.failed + counts.dead,
+      skipped: counts.skipped - job.invalidCount,
+      invalid: job.invalidCount,
+      suppressed: counts.suppressed,
+      pending: counts.pending + counts.processing
+    },
+    errors: job.unsent.map(toError),
+    statusUrl: `/${API_VERSION}/notification-jobs/${job.jobId}`,
+    ...extra
+  });
+}
+
+/**
+ * Send a v1 report for messages sent straight away (see sendPushNotifications)
+ * @param {object} res - Express response
+ * @param {object[]} results - Per-recipient results
+ */
+function sendDeliveryReport(res, results) {
+  const count = status => results.filter(result => result.status === status).length;
+  const invalid = results.filter(result => result.error === 'Invalid push token').length;
+
+  sendReport(res, {
+    jobId: null,
+    status: 'completed',
+    duplicate: false,
+    counts: {
+      total: results.length,
+      sent: count('sent'),
+      failed: count('failed'),
+      skipped: count('skipped') - invalid,
+      invalid,
+      suppressed: count('suppressed'),
+      pending: 0
+    },
+    errors: results.filter(result => result.status !== 'sent').map(toError),
+    statusUrl: null
+  });
+}
+
+/**
+ * Express error handler for /v1: malformed JSON bodies and unexpected errors
+ * Express only treats four-argument middleware as an error handler, hence the unused next.
+ */
+function handleError(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'invalid_json', 'Request body is not valid JSON');
+  }
+
+  logger.error('v1 request error', { error });
+  sendError(res, error.status || 500, 'internal_error', 'Internal server error');
+}
+
+function sendReport(res, report) {
+  res.status(report.status === 'completed' ? 200 : 202).json({
+    apiVersion: API_VERSION,
+    requestId: res.req.requestId,
+    ...report
+  });
+}
+
+function toError(result) {
+  return {
+    userId: result.userId || null,
+    // Enough to tell devices apart without handing out working tokens
+    token: result.token ? result.token.substring(0, 20) + '...' : null,
+    status: result.status,
+    code: result.errorCode || SKIP_CODES[result.error] || result.error || null,
+    error: result.error || null
+  };
+}
+
+module.exports = {
+  API_VERSION,
+  assignRequestId,
+  sendError,
+  handleError,
+  sendJobReport,
+  sendDeliveryReport
+};
@@ -0,0 +1,350 @@
+// Audience Segments
+// Filters that narrow a broadcast to a subset of users and devices, and named
+// segments saved for reuse. Profile filters (location, favorite pitch, player
+// type, user IDs) pick users; device filters (platform, app version, last
+// activity) pick which of their devices receive the push.
+
+const { supabase, fetchAllRows } = require('./supabaseClient');
+const { PLATFORMS } = require('./pushTokens');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('audienceSegments');
+
+const PLAYER_TYPES = ['ranked', 'friendly'];
+
+const LIST_FILTERS = {
+  userIds: 'user IDs',
+  cities: 'cities',
+  areas: 'areas',
+  favoritePitchIds: 'pitch IDs'
+};
+
+// Keeps `.in()` filters well under URL length limits
+const LOOKUP_BATCH_SIZE = 200;
+
+const VERSION_PATTERN = /^\d+(\.\d+){0,2}$/;
+const SEGMENT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Validate a segment filter
+ * @param {object} segment - { userIds, cities, areas, favoritePitchIds, playerTypes,
+ *   platforms, minAppVersion, maxAppVersion, activeAfter, activeBefore }
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateSegment(segment) {
+  if (!segment || typeof segment !== 'object' || Array.isArray(segment)) {
+    return ['segment must be an object'];
+  }
+
+  const errors = [];
+  const allowed = [
+    ...Object.keys(LIST_FILTERS),
+    'playerTypes', 'platforms', 'minAppVersion', 'maxAppVersion', 'activeAfter', 'activeBefore'
+  ];
+
+  Object.keys(segment).forEach(key => {
+    if (!allowed.includes(key)) {
+      errors.push(`segment.${key} is not supported`);
+    }
+  });
+
+  Object.entries(LIST_FILTERS).forEach(([key, description]) => {
+    const value = segment[key];
+    if (value !== undefined && !isNonEmptyStringList(value)) {
+      errors.push(`segment.${key} must be a non-empty list of ${description}`);
+    }
+  });
+
+  if (segment.playerTypes !== undefined &&
+      !(isNonEmptyStringList(segment.playerTypes) && segment.playerTypes.every(type => PLAYER_TYPES.includes(type)))) {
+    errors.push(`segment.playerTypes must be a list of ${PLAYER_TYPES.join(', ')}`);
+  }
+
+  if (segment.platforms !== undefined &&
+      !(isNonEmptyStringList(segment.platforms) && segment.platforms.every(platform => PLATFORMS.includes(platform)))) {
+    errors.push(`segment.platforms must be a list of ${PLATFORMS.join(', ')}`);
+  }
+
+  ['minAppVersion', 'maxAppVersion'].forEach(key => {
+    if (segment[key] !== undefined && !VERSION_PATTERN.test(segment[key])) {
+      errors.push(`segment.${key} must be a version such as 1.4.0`);
+    }
+  });
+
+  ['activeAfter', 'activeBefore'].forEach(key => {
+    if (segment[key] !== undefined && (typeof segment[key] !== 'string' || isNaN(Date.parse(segment[key])))) {
+      errors.push(`segment.${key} must be an ISO 8601 date`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Find every device in a segment
+ * @param {object} segment - Validated segment filter
+ * @returns {Promise<object[]>} - { userId, token, locale } per device, like getAllPushTokens
+ */
+async function resolveSegment(segment) {
+  const userIds = await findSegmentUsers(segment);
+  const devices = await findSegmentDevices(segment, userIds);
+
+  const seen = new Set();
+  const recipients = [];
+
+  devices.forEach(device => {
+    if (device.token && !seen.has(device.token)) {
+      seen.add(device.token);
+      recipients.push(device);
+    }
+  });
+
+  return recipients;
+}
+
+/**
+ * List saved segments
+ */
+async function listSegments() {
+  const { data, error } = await supabase
+    .from('audience_segments')
+    .select('*')
+    .order('name', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to list audience segments: ${error.message}`);
+  }
+
+  return (data || []).map(fromRow);
+}
+
+/**
+ * Get a saved segment by name
+ * @returns {Promise<object|null>} - The segment, or null if there is none with that name
+ */
+async function getSegment(name) {
+  const { data, error } = await supabase
+    .from('audience_segments')
+    .select('*')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch audience segment: ${error.message}`);
+  }
+
+  return data ? fromRow(data) : null;
+}
+
+/**
+ * Create or replace a saved segment
+ * @param {string} name - Segment name, e.g. 'cairo-ranked'
+ * @param {object} segment - { filter, description }
+ * @param {string} [updatedBy] - User saving the segment
+ */
+async function saveSegment(name, segment, updatedBy = null) {
+  const { data, error } = await supabase
+    .from('audience_segments')
+    .upsert({
+      name,
+      description: segment.description || null,
+      filter: segment.filter,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'name' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save audience segment: ${error.message}`);
+  }
+
+  logger.info('Saved audience segment', { name });
+  return fromRow(data);
+}
+
+/**
+ * Delete a saved segment
+ * @returns {Promise<boolean>} - Whether a segment was deleted
+ */
+async function deleteSegment(name) {
+  const { data, error } = await supabase
+    .from('audience_segments')
+    .delete()
+    .eq('name', name)
+    .select('name');
+
+  if (error) {
+    throw new Error(`Failed to delete audience segment: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+function isValidSegmentName(name) {
+  return typeof name === 'string' && SEGMENT_NAME_PATTERN.test(name);
+}
+
+/**
+ * Users matching the profile filters
+ * @returns {Promise<Set<string>|null>} - Matching user IDs, or null when no profile filter is set
+ */
+async function findSegmentUsers(segment) {
+  const hasProfileFilter = ['cities', 'areas', 'favoritePitchIds', 'playerTypes']
+    .some(key => segment[key] !== undefined);
+
+  if (!hasProfileFilter && !segment.userIds) {
+    return null;
+  }
+
+  const applyFilters = query => {
+    if (segment.cities) {
+      query = query.in('city', segment.cities);
+    }
+    if (segment.areas) {
+      query = query.in('area', segment.areas);
+    }
+    if (segment.favoritePitchIds) {
+      query = query.in('favorite_pitch_id', segment.favoritePitchIds);
+    }
+    if (segment.playerTypes) {
+      query = query.in('player_type', segment.playerTypes);
+    }
+    return query;
+  };
+
+  // Explicit user lists are usually short; look them up directly
+  const users = segment.userIds
+    ? await fetchRowsForUsers('user_profiles', 'id', 'id', segment.userIds, applyFilters)
+    : await fetchAllRows('user_profiles', 'id', applyFilters);
+
+  return new Set(users.map(user => user.id));
+}
+
+/**
+ * Rows whose user column is one of the given users, looked up in batches
+ * so a short list doesn't scan the whole table
+ */
+async function fetchRowsForUsers(table, columns, userColumn, userIds, applyFilters = query => query) {
+  const rows = [];
+
+  for (let i = 0; i < userIds.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = userIds.slice(i, i + LOOKUP_BATCH_SIZE);
+    rows.push(...await fetchAllRows(table, columns, query => applyFilters(query.in(userColumn, batch))));
+  }
+
+  return rows;
+}
+
+/**
+ * Devices of the matching users that pass the device filters
+ */
+async function findSegmentDevices(segment, userIds) {
+  if (userIds && userIds.size === 0) {
+    return [];
+  }
+
+  const applyFilters = query => {
+    if (segment.platforms) {
+      query = query.in('platform', segment.platforms);
+    }
+    if (segment.activeAfter) {
+      query = query.gte('last_seen_at', new Date(segment.activeAfter).toISOString());
+    }
+    if (segment.activeBefore) {
+      query = query.lt('last_seen_at', new Date(segment.activeBefore).toISOString());
+    }
+    return query;
+  };
+
+  // An explicit user list is looked up directly rather than filtered out of every device
+  const explicitUsers = segment.userIds ? [...userIds] : null;
+  const columns = 'user_id, push_token, locale, app_version';
+  const devices = explicitUsers
+    ? await fetchRowsForUsers('device_tokens', columns, 'user_id', explicitUsers, applyFilters)
+    : await fetchAllRows('device_tokens', columns, applyFilters);
+
+  const matches = devices
+    .filter(device => !userIds || userIds.has(device.user_id))
+    .filter(device => matchesAppVersion(device.app_version, segment))
+    .map(device => ({ userId: device.user_id, token: device.push_token, locale: device.locale }));
+
+  // Legacy profile tokens carry no platform, version or activity, so they
+  // only qualify when no device filter is set
+  const hasDeviceFilter = ['platforms', 'minAppVersion', 'maxAppVersion', 'activeAfter', 'activeBefore']
+    .some(key => segment[key] !== undefined);
+
+  if (!hasDeviceFilter) {
+    const hasToken = query => query.not('push_token', 'is', null);
+    const legacyUsers = explicitUsers
+      ? await fetchRowsForUsers('user_profiles', 'id, push_token', 'id', explicitUsers, hasToken)
+      : await fetchAllRows('user_profiles', 'id, push_token', hasToken);
+
+    legacyUsers
+      .filter(user => !userIds || userIds.has(user.id))
+      .forEach(user => matches.push({ userId: user.id, token: user.push_token, locale: null }));
+  }
+
+  return matches;
+}
+
+function matchesAppVersion(appVersion, segment) {
+  if (!segment.minAppVersion && !segment.maxAppVersion) {
+    return true;
+  }
+
+  // Unknown versions can't be shown to meet a bound
+  if (!appVersion || !VERSION_PATTERN.test(appVersion)) {
+    return false;
+  }
+
+  if (segment.minAppVersion && compareVersions(appVersion, segment.minAppVersion) < 0) {
+    return false;
+  }
+
+  if (segment.maxAppVersion && compareVersions(appVersion, segment.maxAppVersion) > 0) {
+    return false;
+  }
+
+  return true;
+}
+
+function compareVersions(a, b) {
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+
+  for (let i = 0; i < 3; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+function isNonEmptyStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0);
+}
+
+function fromRow(row) {
+  return {
+    name: row.name,
+    description: row.description,
+    filter: row.filter,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  PLAYER_TYPES,
+  validateSegment,
+  resolveSegment,
+  listSegments,
+  getSegment,
+  saveSegment,
+  deleteSegment,
+  isValidSegmentName
+};
@@ -0,0 +1,122 @@
+// Authentication and Authorization Middleware
+// Callers authenticate with either a Supabase user JWT or a server API key.
+//
+// Roles:
+//   admin   - Supabase users with app_metadata.role = 'admin', or ADMIN_API_KEY
+//   service - internal jobs and scripts using SERVICE_API_KEY
+//   user    - any other signed-in Supabase user
+
+const crypto = require('crypto');
+const { supabase } = require('./supabaseClient');
+const { sendError } = require('./apiContract');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('auth');
+
+const ROLES = {
+  ADMIN: 'admin',
+  SERVICE: 'service',
+  USER: 'user'
+};
+
+/**
+ * Resolve an API key to its role
+ */
+function getApiKeyRole(apiKey) {
+  const { adminApiKey, serviceApiKey } = getConfig();
+
+  if (safeEqual(apiKey, adminApiKey)) {
+    return ROLES.ADMIN;
+  }
+  if (safeEqual(apiKey, serviceApiKey)) {
+    return ROLES.SERVICE;
+  }
+  return null;
+}
+
+/**
+ * Constant-time string comparison; unset keys never match
+ */
+function safeEqual(provided, expected) {
+  if (!provided || !expected) {
+    return false;
+  }
+
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+
+  return providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Verify the caller and attach `req.auth = { role, userId, method }`
+ * Responds 401 when no valid credentials are present
+ */
+async function authenticate(req, res, next) {
+  try {
+    const apiKey = req.get('x-api-key');
+
+    if (apiKey) {
+      const role = getApiKeyRole(apiKey);
+
+      if (!role) {
+        return deny(req, res, 401, 'unauthenticated', 'Invalid API key');
+      }
+
+      req.auth = { role, userId: null, method: 'api_key' };
+      return next();
+    }
+
+    const authHeader = req.get('authorization') || '';
+    const [scheme, token] = authHeader.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return deny(req, res, 401, 'unauthenticated', 'Authentication required');
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+
+    if (error || !data || !data.user) {
+      return deny(req, res, 401, 'unauthenticated', 'Invalid or expired token');
+    }
+
+    const { user } = data;
+    const role = user.app_metadata && user.app_metadata.role === ROLES.ADMIN ? ROLES.ADMIN : ROLES.USER;
+
+    req.auth = { role, userId: user.id, method: 'jwt' };
+    return next();
+
+  } catch (error) {
+    logger.error('Authentication error', { error });
+    deny(req, res, 500, 'internal_error', 'Internal server error');
+  }
+}
+
+/**
+ * Only allow callers with one of the given roles
+ * Must run after `authenticate`; responds 403 otherwise
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth || !roles.includes(req.auth.role)) {
+      return deny(req, res, 403, 'forbidden', 'Insufficient permissions');
+    }
+    next();
+  };
+}
+
+// /v1 routes answer in the versioned error shape (see apiContract.js)
+function deny(req, res, status, code, message) {
+  if (req.apiVersion) {
+    return sendError(res, status, code, message);
+  }
+  res.status(status).json({ error: message });
+}
+
+module.exports = {
+  ROLES,
+  authenticate,
+  requireRole
+};
@@ -0,0 +1,167 @@
+// Broadcasts
+// Validation and queuing of broadcast notifications, shared by the immediate
+// broadcast route and scheduled broadcasts. A broadcast goes to every
+// registered device unless it names an audience segment.
+
+const { enqueueNotification } = require('./notificationQueue');
+const { validateMessageOptions } = require('./messageOptions');
+const { getAllPushTokens } = require('./pushTokens');
+const { validateSegment, resolveSegment, getSegment, isValidSegmentName } = require('./audienceSegments');
+
+/**
+ * Validate a broadcast request body
+ * @param {object} body - { title, message, data, sound, options, localizations, segment, segmentName }
+ * @returns {object} - { broadcast } when valid, otherwise { error, details }
+ */
+function parseBroadcast(body) {
+  const {
+    title,
+    message,
+    data = {},
+    sound = true,
+    options = {},
+    localizations = {},
+    segment = null,
+    segmentName = null
+  } = body || {};
+
+  if (!title || !message) {
+    return { error: 'Title and message are required' };
+  }
+
+  if (!isPlainObject(data)) {
+    return { error: 'data must be an object' };
+  }
+
+  // The top-level `sound` flag is kept for older clients; options.sound wins
+  const messageOptions = isPlainObject(options) ? { sound, ...options } : options;
+
+  const optionErrors = validateMessageOptions(messageOptions);
+  if (optionErrors.length > 0) {
+    return { error: 'Invalid message options', details: optionErrors };
+  }
+
+  // title and message are the English copy, also used for languages without a translation
+  const parsedLocalizations = parseLocalizations(localizations);
+  if (parsedLocalizations.error) {
+    return { error: parsedLocalizations.error };
+  }
+
+  if (segment && segmentName) {
+    return { error: 'Use either segment or segmentName, not both' };
+  }
+
+  if (segment) {
+    const segmentErrors = validateSegment(segment);
+    if (segmentErrors.length > 0) {
+      return { error: 'Invalid segment', details: segmentErrors };
+    }
+  }
+
+  if (segmentName && !isValidSegmentName(segmentName)) {
+    return { error: 'segmentName must be the name of a saved segment' };
+  }
+
+  return {
+    broadcast: {
+      title,
+      message,
+      data,
+      options: messageOptions,
+      localizations: parsedLocalizations.localizations,
+      segment,
+      segmentName
+    }
+  };
+}
+
+/**
+ * Queue a broadcast to its audience
+ * @param {object} broadcast - Parsed broadcast (see parseBroadcast)
+ * @param {object} [queueOptions] - { idempotencyKey, createdBy } (see enqueueNotification)
+ * @returns {Promise<object|null>} - The queued job, or null if nobody in the audience has a push token
+ */
+async function sendBroadcast(broadcast, queueOptions = {}) {
+  const recipients = await getBroadcastAudience(broadcast);
+
+  if (recipients.length === 0) {
+    return null;
+  }
+
+  return enqueueNotification(recipients, {
+    type: 'broadcast',
+    title: broadcast.title,
+    body: broadcast.message,
+    localizations: broadcast.localizations,
+    data: {
+      ...broadcast.data,
+      type: 'broadcast',
+      screen: 'More'
+    },
+    options: broadcast.options
+  }, queueOptions);
+}
+
+/**
+ * Count who a broadcast would reach, without queuing anything
+ * @returns {Promise<object>} - { users, devices }
+ */
+async function countBroadcastAudience(broadcast) {
+  const recipients = await getBroadcastAudience(broadcast);
+
+  return {
+    users: new Set(recipients.map(recipient => recipient.userId)).size,
+    devices: recipients.length
+  };
+}
+
+/**
+ * Devices a broadcast goes to; saved segments are looked up when it is sent,
+ * so scheduled broadcasts pick up later edits to the segment
+ */
+async function getBroadcastAudience(broadcast) {
+  if (broadcast.segmentName) {
+    const saved = await getSegment(broadcast.segmentName);
+    if (!saved) {
+      throw new Error(`Audience segment ${broadcast.segmentName} not found`);
+    }
+    return resolveSegment(saved.filter);
+  }
+
+  if (broadcast.segment) {
+    return resolveSegment(broadcast.segment);
+  }
+
+  return getAllPushTokens();
+}
+
+// Broadcast copy per language: { ar: { title, message } }
+// Returns the payload's localizations, or an error string
+function parseLocalizations(localizations) {
+  if (!isPlainObject(localizations)) {
+    return { error: 'localizations must be an object keyed by language' };
+  }
+
+  const parsed = {};
+  for (const [language, copy] of Object.entries(localizations)) {
+    if (!/^[a-z]{2}$/.test(language)) {
+      return { error: `localizations.${language} must be a two-letter language code` };
+    }
+    if (!isPlainObject(copy) || typeof copy.title !== 'string' || typeof copy.message !== 'string') {
+      return { error: `localizations.${language} must have a title and message` };
+    }
+    parsed[language] = { title: copy.title, body: copy.message };
+  }
+
+  return { localizations: parsed };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  parseBroadcast,
+  sendBroadcast,
+  countBroadcastAudience
+};
@@ -0,0 +1,299 @@
+// Configuration
+// Every setting the server, the cron process and the CLIs read, validated in
+// one place. Each value comes from its environment variable, then from the
+// JSON file named in CONFIG_FILE, then from the defaults below. The file
+// holds shared settings at the top level and per-environment overrides under
+// dev, staging or prod, all keyed by environment variable name:
+//
+//   {
+//     "DEFAULT_TIMEZONE": "Africa/Cairo",
+//     "staging": { "SUPABASE_URL": "https://<project>.supabase.co" },
+//     "prod": { "SUPABASE_URL": "https://<project>.supabase.co" }
+//   }
+//
+// APP_ENV picks the environment; it defaults to prod when NODE_ENV=production
+// and to dev otherwise.
+
+const fs = require('fs');
+
+const ENVIRONMENTS = ['dev', 'staging', 'prod'];
+
+const SETTINGS = {
+  // Server
+  port: { env: 'PORT', type: 'integer', default: 3000 },
+  cronPort: { env: 'CRON_PORT', type: 'integer', default: 3001 },
+  corsOrigins: { env: 'CORS_ORIGINS', type: 'list', default: [] },
+  adminApiKey: { env: 'ADMIN_API_KEY', type: 'string', secret: true },
+  serviceApiKey: { env: 'SERVICE_API_KEY', type: 'string', secret: true },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+
+  // Database (see supabaseClient.js)
+  databaseProvider: { env: 'DATABASE_PROVIDER', type: 'enum', values: ['supabase', 'memory'], default: 'supabase' },
+  supabaseUrl: { env: 'SUPABASE_URL', type: 'url' },
+  supabaseServiceKey: { env: 'SUPABASE_SERVICE_ROLE_KEY', type: 'string', secret: true },
+  memoryDatabaseSeed: { env: 'MEMORY_DATABASE_SEED', type: 'string' },
+
+  // Push delivery (see pushProviders.js)
+  pushProvider: { env: 'PUSH_PROVIDER', type: 'enum', values: ['expo', 'mock'], default: 'expo' },
+  mockPushTicketErrors: { env: 'MOCK_PUSH_TICKET_ERRORS', type: 'string' },
+  mockPushReceiptErrors: { env: 'MOCK_PUSH_RECEIPT_ERRORS', type: 'string' },
+
+  // Notifications
+  // Most pitches and players are in Egypt
+  defaultTimezone: { env: 'DEFAULT_TIMEZONE', type: 'timezone', default: 'Africa/Cairo' },
+  matchReminderStages: { env: 'MATCH_REMINDER_STAGES', type: 'string', default: '24h,2h,15m' },
+  invitesPerInviterPerHour: { env: 'INVITES_PER_INVITER_PER_HOUR', type: 'integer', default: 30 },
+  invitesPerTargetPerDay: { env: 'INVITES_PER_TARGET_PER_DAY', type: 'integer', default: 10 },
+  tokenStaleDays: { env: 'TOKEN_STALE_DAYS', type: 'integer', default: 90 },
+  tokenMaxFailures: { env: 'TOKEN_MAX_FAILURES', type: 'integer', default: 5 },
+
+  // send-notification-to-all.js, which calls a running server
+  serverUrl: { env: 'HAGZ_SERVER_URL', type: 'url' },
+  cliApiKey: { env: 'HAGZ_API_KEY', type: 'string', secret: true },
+  cliAccessToken: { env: 'HAGZ_ACCESS_TOKEN', type: 'string', secret: true },
+  cliTimezone: { env: 'HAGZ_TIMEZONE', type: 'timezone' }
+};
+
+// Defaults that differ by environment, keyed like the config file
+const ENVIRONMENT_DEFAULTS = {
+  dev: { HAGZ_SERVER_URL: 'http://localhost:3000' },
+  staging: {},
+  prod: {}
+};
+
+// Settings an entry point cannot run without, by what it needs (see checkConfig)
+const REQUIREMENTS = {
+  database: config => config.databaseProvider === 'supabase' ? ['supabaseUrl', 'supabaseServiceKey'] : [],
+  apiKeys: () => ['adminApiKey', 'serviceApiKey'],
+  server: () => ['serverUrl']
+};
+
+const PARSERS = {
+  string: value => ({ value: String(value) }),
+  integer: value => {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? { value: number } : { error: 'must be a positive integer' };
+  },
+  url: value => {
+    try {
+      const url = new URL(value);
+      if (['http:', 'https:'].includes(url.protocol)) {
+        return { value: String(value).replace(/\/+$/, '') };
+      }
+    } catch (error) {
+      // Reported below
+    }
+    return { error: 'must be an http(s) URL' };
+  },
+  list: value => ({
+    value: (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean)
+  }),
+  timezone: value => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return { value: String(value) };
+    } catch (error) {
+      return { error: 'must be an IANA timezone name' };
+    }
+  }
+};
+
+let loadedConfig = null;
+
+/**
+ * Read and validate the configuration
+ * @param {object} [env] - Environment variables (defaults to process.env)
+ * @returns {object} - Frozen config: `environment` plus one field per setting (null when unset)
+ * @throws {Error} - Listing every invalid value
+ */
+function loadConfig(env = process.env) {
+  const problems = [];
+  const environment = resolveEnvironment(env, problems);
+  const file = readConfigFile(env.CONFIG_FILE, problems);
+
+  const layers = [
+    env,
+    isPlainObject(file[environment]) ? file[environment] : {},
+    file,
+    ENVIRONMENT_DEFAULTS[environment] || {}
+  ];
+
+  const config = { environment };
+
+  Object.entries(SETTINGS).forEach(([name, setting]) => {
+    const layer = layers.find(values => isSet(values[setting.env]));
+
+    if (!layer) {
+      config[name] = setting.default === undefined ? null : setting.default;
+      return;
+    }
+
+    const { value, error } = parseValue(setting, layer[setting.env]);
+
+    if (error) {
+      problems.push(setting.secret ? `${setting.env} ${error}` : `${setting.env} ${error} (got "${layer[setting.env]}")`);
+    }
+    config[name] = error ? null : value;
+  });
+
+  // The stand-ins are for local runs and tests only
+  if (environment === 'prod' && config.databaseProvider === 'memory') {
+    problems.push('DATABASE_PROVIDER=memory is not allowed in prod');
+  }
+
+  // Mock receipts only exist in the process that sent the message, so a deployment
+  // whose cron process polls receipts (see mockPushProvider.js) would never find them
+  if (environment !== 'dev' && config.pushProvider === 'mock') {
+    problems.push(`PUSH_PROVIDER=mock is only allowed in dev, not ${environment}`);
+  }
+
+  if (problems.length > 0) {
+    throw configError(environment, problems);
+  }
+
+  return Object.freeze(config);
+}
+
+/**
+ * Get the configuration, loading it on first use
+ * @param {string[]} [requirements] - Keys of REQUIREMENTS the caller cannot run without
+ * @returns {object} - See loadConfig
+ * @throws {Error} - When the configuration is invalid or a required setting is missing
+ */
+function getConfig(requirements = []) {
+  if (!loadedConfig) {
+    loadedConfig = loadConfig();
+  }
+
+  const missing = requirements
+    .flatMap(requirement => REQUIREMENTS[requirement](loadedConfig))
+    .filter(name => loadedConfig[name] === null)
+    .map(name => `${SETTINGS[name].env} is required`);
+
+  if (missing.length > 0) {
+    throw configError(loadedConfig.environment, missing);
+  }
+
+  return loadedConfig;
+}
+
+/**
+ * Validate the configuration when an entry point starts, exiting with every problem listed
+ * @param {string[]} [requirements] - See getConfig
+ * @returns {object} - See loadConfig
+ */
+function checkConfig(requirements = []) {
+  try {
+    return getConfig(requirements);
+  } catch (error) {
+    // Not through logger.js, which needs a valid configuration itself
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Forget the loaded configuration so the next getConfig reads it again (e.g. after tests change the environment)
+ */
+function resetConfig() {
+  loadedConfig = null;
+}
+
+/**
+ * Summarize a configuration for startup logs, showing only whether secrets are set
+ * @param {object} config - From getConfig
+ */
+function describeConfig(config) {
+  const summary = { environment: config.environment };
+
+  Object.entries(SETTINGS).forEach(([name, setting]) => {
+    summary[name] = setting.secret ? (config[name] !== null ? 'set' : 'not set') : config[name];
+  });
+
+  return summary;
+}
+
+function resolveEnvironment(env, problems) {
+  if (!isSet(env.APP_ENV)) {
+    return env.NODE_ENV === 'production' ? 'prod' : 'dev';
+  }
+
+  if (!ENVIRONMENTS.includes(env.APP_ENV)) {
+    problems.push(`APP_ENV must be one of ${ENVIRONMENTS.join(', ')} (got "${env.APP_ENV}")`);
+    return 'dev';
+  }
+
+  return env.APP_ENV;
+}
+
+function readConfigFile(path, problems) {
+  if (!isSet(path)) {
+    return {};
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    problems.push(`CONFIG_FILE ${path} could not be read: ${error.message}`);
+    return {};
+  }
+
+  if (!isPlainObject(file)) {
+    problems.push(`CONFIG_FILE ${path} must hold a JSON object`);
+    return {};
+  }
+
+  const known = new Set(Object.values(SETTINGS).map(setting => setting.env));
+
+  Object.entries(file).forEach(([key, value]) => {
+    if (ENVIRONMENTS.includes(key)) {
+      if (!isPlainObject(value)) {
+        problems.push(`CONFIG_FILE section ${key} must be an object of settings`);
+        return;
+      }
+      Object.keys(value)
+        .filter(name => !known.has(name))
+        .forEach(name => problems.push(`CONFIG_FILE has unknown setting ${key}.${name}`));
+    } else if (!known.has(key)) {
+      problems.push(`CONFIG_FILE has unknown setting ${key}`);
+    }
+  });
+
+  return file;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseValue(setting, value) {
+  if (setting.type === 'enum') {
+    return setting.values.includes(value)
+      ? { value }
+      : { error: `must be one of ${setting.values.join(', ')}` };
+  }
+
+  return PARSERS[setting.type](value);
+}
+
+// Empty variables (e.g. `CORS_ORIGINS=` copied from env.example) count as unset
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function configError(environment, problems) {
+  return new Error(`Invalid configuration (${environment}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  SETTINGS,
+  loadConfig,
+  getConfig,
+  checkConfig,
+  resetConfig,
+  describeConfig
+};
@@ -1,79 +1,192 @@
 // Cron Job for Match Reminders
-// This script runs periodically to check for upcoming matches and send reminders
+// This script runs periodically to check for upcoming matches and send reminders,
+// queues scheduled broadcasts when they come due, expires stale game invitations
+// and purges push tokens that no longer reach anyone
+
+const { checkConfig } = require('./config');
+
+// Checked before anything else loads so every configuration problem is listed at once
+const config = checkConfig(['database']);
 
 const cron = require('node-cron');
 const { processMatchReminders } = require('./matchReminderSender');
+const { processPushReceipts } = require('./pushReceipts');
+const { processScheduledBroadcasts } = require('./scheduledBroadcasts');
+const { expireInvitations } = require('./gameInvitations');
+const { runTokenHygiene } = require('./tokenHygiene');
+const { startQueueWorker } = require('./notificationQueue');
+const { getReminderStages } = require('./reminderStages');
+const { createLogger, withTaskContext } = require('./logger');
+
+const logger = createLogger('cronJob');
 
-console.log('🕒 Starting Match Reminder Cron Job Service...');
+logger.info('Starting Match Reminder Cron Job Service');
 
 // Run every 5 minutes
 // Cron pattern: '*/5 * * * *' = every 5 minutes
 const CRON_SCHEDULE = '*/5 * * * *';
 
+// Expo receipts are only available ~15 minutes after sending
+// Cron pattern: '*/15 * * * *' = every 15 minutes
+const RECEIPT_SCHEDULE = '*/15 * * * *';
+
+// Scheduled broadcasts are due to the minute
+// Cron pattern: '* * * * *' = every minute
+const BROADCAST_SCHEDULE = '* * * * *';
+
+// Pending game invitations expire at kick-off
+// Cron pattern: '*/15 * * * *' = every 15 minutes
+const INVITATION_SCHEDULE = '*/15 * * * *';
+
+// Stale and failing tokens only need purging once a day, outside peak hours
+// Cron pattern: '30 3 * * *' = daily at 03:30 UTC
+const TOKEN_HYGIENE_SCHEDULE = '30 3 * * *';
+
 // Start the cron job
-const cronJob = cron.schedule(CRON_SCHEDULE, async () => {
-  const timestamp = new Date().toISOString();
-  console.log(`\n⏰ [${timestamp}] Running scheduled match reminder check...`);
-  
+// Each tick runs in its own log context, so its lines share a run ID
+const cronJob = cron.schedule(CRON_SCHEDULE, () => withTaskContext('match-reminders', async () => {
+  logger.info('Running scheduled match reminder check');
+
   try {
     await processMatchReminders();
-    console.log(`✅ [${timestamp}] Scheduled check completed successfully`);
+    logger.info('Scheduled check completed successfully');
   } catch (error) {
-    console.error(`❌ [${timestamp}] Scheduled check failed:`, error);
+    logger.error('Scheduled check failed', { error });
   }
-}, {
+}), {
   scheduled: false, // Don't start immediately
-  timezone: "UTC" // Use UTC timezone
+  // Interval schedule, so the zone doesn't matter; match times are resolved
+  // in each pitch's timezone (see getMatchStart)
+  timezone: "UTC"
+});
+
+// Receipt polling job
+const receiptJob = cron.schedule(RECEIPT_SCHEDULE, () => withTaskContext('push-receipts', async () => {
+  logger.info('Running scheduled push receipt check');
+
+  try {
+    await processPushReceipts();
+    logger.info('Receipt check completed successfully');
+  } catch (error) {
+    logger.error('Receipt check failed', { error });
+  }
+}), {
+  scheduled: false,
+  timezone: "UTC"
+});
+
+// Scheduled broadcast job
+const broadcastJob = cron.schedule(BROADCAST_SCHEDULE, () => withTaskContext('scheduled-broadcasts', async () => {
+  try {
+    await processScheduledBroadcasts();
+  } catch (error) {
+    logger.error('Scheduled broadcast check failed', { error });
+  }
+}), {
+  scheduled: false,
+  timezone: "UTC"
+});
+
+// Invitation expiry job
+const invitationJob = cron.schedule(INVITATION_SCHEDULE, () => withTaskContext('invitation-expiry', async () => {
+  try {
+    await expireInvitations();
+  } catch (error) {
+    logger.error('Invitation expiry failed', { error });
+  }
+}), {
+  scheduled: false,
+  timezone: "UTC"
+});
+
+// Token hygiene job
+const tokenHygieneJob = cron.schedule(TOKEN_HYGIENE_SCHEDULE, () => withTaskContext('token-hygiene', async () => {
+  try {
+    await runTokenHygiene();
+  } catch (error) {
+    logger.error('Token hygiene failed', { error });
+  }
+}), {
+  scheduled: false,
+  timezone: "UTC"
 });
 
 // Start the cron job
 cronJob.start();
-console.log(`✅ Cron job started - running every 5 minutes (${CRON_SCHEDULE})`);
-console.log('📅 Checking for matches that need 2-hour reminders...');
+logger.info('Cron job started', { schedule: CRON_SCHEDULE, stages: getReminderStages().map(stage => stage.key) });
+
+receiptJob.start();
+logger.info('Receipt job started', { schedule: RECEIPT_SCHEDULE });
+
+broadcastJob.start();
+logger.info('Scheduled broadcast job started', { schedule: BROADCAST_SCHEDULE });
+
+invitationJob.start();
+logger.info('Invitation expiry job started', { schedule: INVITATION_SCHEDULE });
+
+tokenHygieneJob.start();
+logger.info('Token hygiene job started', { schedule: TOKEN_HYGIENE_SCHEDULE });
+
+// Reminders and scheduled broadcasts are queued, so this process also sends and retries queued messages
+const queueWorker = startQueueWorker();
 
 // Run once immediately on startup
-processMatchReminders().then(() => {
-  console.log('✅ Initial check completed');
+withTaskContext('match-reminders', processMatchReminders).then(() => {
+  logger.info('Initial check completed');
 }).catch(error => {
-  console.error('❌ Initial check failed:', error);
+  logger.error('Initial check failed', { error });
 });
 
 // Graceful shutdown
 process.on('SIGINT', () => {
-  console.log('\n🛑 Shutting down cron job...');
+  logger.info('Shutting down cron job');
   cronJob.stop();
-  console.log('✅ Cron job stopped');
+  receiptJob.stop();
+  broadcastJob.stop();
+  invitationJob.stop();
+  tokenHygieneJob.stop();
+  queueWorker.stop();
+  logger.info('Cron job stopped');
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('\n🛑 Received SIGTERM, shutting down cron job...');
+  logger.info('Received SIGTERM, shutting down cron job');
   cronJob.stop();
-  console.log('✅ Cron job stopped');
+  receiptJob.stop();
+  broadcastJob.stop();
+  invitationJob.stop();
+  tokenHygieneJob.stop();
+  queueWorker.stop();
+  logger.info('Cron job stopped');
   process.exit(0);
 });
 
 // Keep the process alive
-console.log('🔄 Cron job is running... Press Ctrl+C to stop');
+logger.info('Cron job is running; press Ctrl+C to stop');
 
-// Optional: Add a health check endpoint if running in a server environment
-if (process.env.NODE_ENV === 'production') {
+// Health check endpoint for deployed environments (staging and prod)
+if (config.environment !== 'dev') {
   const express = require('express');
   const app = express();
-  const PORT = process.env.CRON_PORT || 3001;
+  const PORT = config.cronPort;
   
   app.get('/health', (req, res) => {
     res.json({
       status: 'running',
       service: 'match-reminder-cron',
       schedule: CRON_SCHEDULE,
+      receiptSchedule: RECEIPT_SCHEDULE,
+      broadcastSchedule: BROADCAST_SCHEDULE,
+      invitationSchedule: INVITATION_SCHEDULE,
+      tokenHygieneSchedule: TOKEN_HYGIENE_SCHEDULE,
       uptime: process.uptime(),
       timestamp: new Date().toISOString()
     });
   });
   
   app.listen(PORT, () => {
-    console.log(`🌐 Health check server running on port ${PORT}`);
+    logger.info('Health check server running', { port: PORT });
   });
 }
 
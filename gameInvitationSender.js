@@ -1,148 +1,51 @@
 // Game Invitation Server-Side Notification Sender
 // This handles sending push notifications for game invitations using Expo Push Service
 
-const { Expo } = require('expo-server-sdk');
-const { createClient } = require('@supabase/supabase-js');
+const { enqueueNotification } = require('./notificationQueue');
+const { createInvitations, getInvitationTemplate } = require('./gameInvitations');
+const { getProfiles, getDisplayName } = require('./userProfiles');
+const { getPushProvider } = require('./pushProviders');
+const { checkConfig } = require('./config');
+const { createLogger } = require('./logger');
 
-// Initialize Expo SDK
-const expo = new Expo();
-
-// Initialize Supabase (you'll need to set these environment variables)
-const supabaseUrl = process.env.SUPABASE_URL || 'https://wlzuzohbuonvfnembyyl.supabase.co';
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-if (!supabaseServiceKey) {
-  console.error('❌ SUPABASE_SERVICE_ROLE_KEY environment variable is required');
-  process.exit(1);
-}
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const logger = createLogger('gameInvitationSender');
 
 /**
  * Send game invitation push notification
+ * gameDate and gameTime are local to the pitch (both may be left out); pitchTimezone defaults to DEFAULT_TIMEZONE
  */
 async function sendGameInvitationNotification(invitationData) {
-  console.log('🎮 Sending game invitation notification...');
-  
-  try {
-    const {
-      targetUserId,
-      inviterUserId,
-      gameId,
-      gameTitle,
-      gameDate,
-      gameTime,
-      pitchName,
-      pitchLocation
-    } = invitationData;
-
-    // Get target user's push token
-    const { data: targetUser, error: userError } = await supabase
-      .from('user_profiles')
-      .select('id, push_token, full_name, email')
-      .eq('id', targetUserId)
-      .single();
-
-    if (userError || !targetUser) {
-      console.error('❌ Target user not found:', userError);
-      return { success: false, error: 'User not found' };
-    }
-
-    if (!targetUser.push_token) {
-      console.log(`📱 No push token for user ${targetUserId}`);
-      return { success: false, error: 'No push token' };
-    }
-
-    if (!Expo.isExpoPushToken(targetUser.push_token)) {
-      console.error('❌ Invalid push token:', targetUser.push_token);
-      return { success: false, error: 'Invalid push token' };
-    }
-
-    // Get inviter details
-    const { data: inviterUser, error: inviterError } = await supabase
-      .from('user_profiles')
-      .select('full_name, email')
-      .eq('id', inviterUserId)
-      .single();
+  logger.info('Sending game invitation notification');
 
-    if (inviterError || !inviterUser) {
-      console.error('❌ Inviter user not found:', inviterError);
-      return { success: false, error: 'Inviter not found' };
-    }
-
-    const inviterName = inviterUser.full_name || inviterUser.email || 'Someone';
-    
-    // Create notification content
-    const title = 'HAGZ';
-    const message = `${inviterName} invited you to join a match at ${pitchName} on ${formatDateTime(gameDate, gameTime)}`;
-
-    // Prepare notification message
-    const notificationMessage = {
-      to: targetUser.push_token,
-      sound: 'notification_sound.wav',
-      title: 'HAGZ',
-      body: message,
-      data: {
-        screen: 'GameDetails',
-        gameId: gameId,
-        type: 'game_invitation',
-        pitchName: pitchName,
-        gameDate: gameDate,
-        gameTime: gameTime,
-        inviterName: inviterName,
-        notificationType: 'game_invitation'
-      },
-      priority: 'high',
-      badge: 1
-    };
-
-    console.log(`📱 Sending invitation notification to ${targetUser.email}`);
-
-    // Send notification
-    const tickets = await expo.sendPushNotificationsAsync([notificationMessage]);
-    const ticket = tickets[0];
+  try {
+    const { targetUserId, ...details } = invitationData;
 
-    // Log notification in database
-    await logInvitationNotification(targetUserId, gameId, title, message, inviterUserId);
+    const outcomes = await sendInvitations(details, [targetUserId]);
+    const outcome = outcomes.get(targetUserId);
 
-    // Process ticket for errors
-    if (ticket.status === 'error') {
-      console.error(`❌ Notification error for ${targetUser.email}:`, ticket.message);
-      
-      if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
-        // Token is invalid, remove it from database
-        console.log(`🧹 Removing invalid token for user ${targetUserId}`);
-        await removeInvalidToken(targetUserId);
-      }
-      
-      return { success: false, error: ticket.message };
+    if (outcome.success) {
+      logger.info('Invitation notification queued', { targetUserId, jobId: outcome.jobId });
     } else {
-      console.log(`✅ Invitation notification sent successfully to ${targetUser.email}`);
-      return { success: true };
+      logger.warn('Invitation notification not queued', { targetUserId, error: outcome.error });
     }
 
+    return outcome;
+
   } catch (error) {
-    console.error('❌ Error in sendGameInvitationNotification:', error);
+    logger.error('Error in sendGameInvitationNotification', { error });
     return { success: false, error: error.message };
   }
 }
 
 /**
  * Send bulk game invitations
+ * The inviter and targets are loaded once; each invitation is queued as its own job.
  */
 async function sendBulkGameInvitations(bulkInvitationData) {
-  console.log('🎮 Sending bulk game invitations...');
-  
+  logger.info('Sending bulk game invitations');
+
   try {
-    const {
-      targetUserIds,
-      inviterUserId,
-      gameId,
-      gameTitle,
-      gameDate,
-      gameTime,
-      pitchName,
-      pitchLocation
-    } = bulkInvitationData;
+    const { targetUserIds, ...details } = bulkInvitationData;
 
     const results = {
       success: 0,
@@ -150,130 +53,149 @@ async function sendBulkGameInvitations(bulkInvitationData) {
       errors: []
     };
 
-    // Send invitations to each user
-    for (const userId of targetUserIds) {
-      try {
-        const result = await sendGameInvitationNotification({
-          targetUserId: userId,
-          inviterUserId,
-          gameId,
-          gameTitle,
-          gameDate,
-          gameTime,
-          pitchName,
-          pitchLocation
-        });
-
-        if (result.success) {
-          results.success++;
-        } else {
-          results.failed++;
-          results.errors.push(`User ${userId}: ${result.error}`);
-        }
-      } catch (error) {
+    const outcomes = await sendInvitations(details, targetUserIds);
+
+    [...new Set(targetUserIds)].forEach(userId => {
+      const outcome = outcomes.get(userId);
+      if (outcome.success) {
+        results.success++;
+      } else {
         results.failed++;
-        results.errors.push(`User ${userId}: ${error.message}`);
+        results.errors.push(`User ${userId}: ${outcome.code ? `[${outcome.code}] ` : ''}${outcome.error}`);
       }
-    }
+    });
 
-    console.log(`📊 Bulk invitations result: ${results.success} success, ${results.failed} failed`);
+    logger.info('Bulk invitations result', { success: results.success, failed: results.failed });
     return results;
 
   } catch (error) {
-    console.error('❌ Error in sendBulkGameInvitations:', error);
+    logger.error('Error in sendBulkGameInvitations', { error });
     return { success: 0, failed: 1, errors: [error.message] };
   }
 }
 
 /**
- * Log invitation notification in database
+ * Record invitations and queue a push to each target
+ * Each invitation gets its own job, as its push carries its own ID; delivery
+ * is retried by the queue and reported per job (see getJobReport).
+ * @param {object} details - { inviterUserId, gameId, gameDate, gameTime, pitchName, pitchTimezone, ... }
+ * @param {string[]} targetUserIds - Users to invite
+ * @returns {Promise<Map<string, object>>} - Map of target user ID to { success, invitationId, jobId } or
+ *   { success: false, error[, code, retryAfter] }
  */
-async function logInvitationNotification(userId, gameId, title, message, inviterId) {
-  try {
-    const { error } = await supabase
-      .from('notifications')
-      .insert({
-        user_id: userId,
-        type: 'game_invitation',
-        title: title,
-        message: message,
-        data: {
-          game_id: gameId,
-          invited_by: inviterId,
-          sent_at: new Date().toISOString(),
-          notification_type: 'push'
-        },
-        status: 'sent'
-      });
-
-    if (error) {
-      console.error('❌ Error logging invitation notification:', error);
-    } else {
-      console.log(`✅ Logged invitation notification for user ${userId}`);
-    }
-  } catch (error) {
-    console.error('❌ Error in logInvitationNotification:', error);
+async function sendInvitations(details, targetUserIds) {
+  const {
+    inviterUserId,
+    gameId,
+    gameDate,
+    gameTime,
+    pitchName,
+    pitchTimezone
+  } = details;
+
+  const targetIds = [...new Set(targetUserIds)];
+  const outcomes = new Map();
+
+  // Inviter and targets in one lookup
+  const profiles = await getProfiles([inviterUserId, ...targetIds]);
+  const inviterUser = profiles.get(inviterUserId);
+
+  if (!inviterUser) {
+    logger.warn('Inviter not found', { inviterUserId });
+    targetIds.forEach(userId => outcomes.set(userId, { success: false, error: 'Inviter not found' }));
+    return outcomes;
   }
-}
 
-/**
- * Remove invalid push token from database
- */
-async function removeInvalidToken(userId) {
-  try {
-    const { error } = await supabase
-      .from('user_profiles')
-      .update({ push_token: null })
-      .eq('id', userId);
+  const inviterName = getDisplayName(inviterUser);
+
+  const knownTargets = targetIds.filter(userId => {
+    if (!profiles.has(userId)) {
+      outcomes.set(userId, { success: false, error: 'User not found' });
+      return false;
+    }
+    return true;
+  });
 
+  // Recorded first so each push can carry the ID the accept/decline actions need
+  const invitations = await createInvitations({
+    gameId,
+    inviterId: inviterUserId,
+    pitchName,
+    gameDate,
+    gameTime,
+    pitchTimezone
+  }, knownTargets);
+
+  const invited = [];
+  invitations.forEach(({ invitation, error, code, retryAfter }, userId) => {
     if (error) {
-      console.error('❌ Error removing invalid token:', error);
+      outcomes.set(userId, { success: false, error, code, retryAfter });
     } else {
-      console.log(`✅ Removed invalid token for user ${userId}`);
+      invited.push({ userId, invitation });
     }
-  } catch (error) {
-    console.error('❌ Error in removeInvalidToken:', error);
+  });
+
+  if (invited.length === 0) {
+    return outcomes;
   }
-}
 
-/**
- * Format date and time for display
- */
-function formatDateTime(date, time) {
-  try {
-    const dateTime = new Date(`${date}T${time}`);
-    return dateTime.toLocaleString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-  } catch (error) {
-    return `${date} at ${time}`;
+  logger.info('Queuing invitation notifications', { recipients: invited.length });
+
+  // Rendered in each invitee's language and timezone
+  const template = getInvitationTemplate(inviterName, { pitchName, gameDate, gameTime, pitchTimezone });
+
+  for (const { userId, invitation } of invited) {
+    const job = await enqueueNotification([{ userId }], {
+      type: 'game_invitation',
+      template,
+      data: {
+        screen: 'GameDetails',
+        gameId: gameId,
+        type: 'game_invitation',
+        invitationId: invitation.id,
+        pitchName: pitchName,
+        gameDate: gameDate,
+        gameTime: gameTime,
+        inviterName: inviterName
+      },
+      logData: {
+        game_id: gameId,
+        invited_by: inviterUserId,
+        notification_type: 'push'
+      }
+    }, { idempotencyKey: `game_invitation:${invitation.id}` });
+
+    outcomes.set(userId, { success: true, invitationId: invitation.id, jobId: job.jobId });
   }
+
+  return outcomes;
 }
 
 /**
  * Test function to send a sample invitation
+ * Only runs with PUSH_PROVIDER=mock so the sample never reaches a real device
  */
 async function testGameInvitation() {
-  console.log('🧪 Testing game invitation notification...');
+  logger.info('Testing game invitation notification');
+
+  if (getPushProvider().name !== 'mock') {
+    throw new Error('testGameInvitation sends to sample users; run it with PUSH_PROVIDER=mock');
+  }
   
   const testData = {
     targetUserId: 'test-user-id',
     inviterUserId: 'test-inviter-id',
     gameId: 'test-game-id',
     gameTitle: 'Test Football Match',
-    gameDate: '2024-01-01',
+    // A week ahead, as invitations to games that already started are refused
+    gameDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
     gameTime: '18:00',
     pitchName: 'Test Pitch',
     pitchLocation: 'Test Location'
   };
 
   const result = await sendGameInvitationNotification(testData);
-  console.log('🧪 Test result:', result);
+  logger.info('Test invitation result', { result });
   return result;
 }
 
@@ -286,12 +208,13 @@ module.exports = {
 
 // If running directly, run test
 if (require.main === module) {
-  console.log('🚀 Game Invitation Notification Service Started');
+  checkConfig(['database']);
+  logger.info('Game Invitation Notification Service started');
   testGameInvitation().then(() => {
-    console.log('✅ Test completed');
+    logger.info('Test completed');
     process.exit(0);
   }).catch(error => {
-    console.error('❌ Test failed:', error);
+    logger.error('Test failed', { error });
     process.exit(1);
   });
 }
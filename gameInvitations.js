@@ -0,0 +1,481 @@
+// Game Invitations
+// Invitation records and their lifecycle: pending until the invitee accepts or
+// declines, or until kick-off passes and they expire. Each response notifies
+// the inviter.
+//
+// New invitations are checked against blocks, duplicates and rate limits
+// before they are stored; rejections carry one of the INVITATION_ERRORS codes.
+
+const { supabase } = require('./supabaseClient');
+const { enqueueNotification } = require('./notificationQueue');
+const { isValidTimezone, zonedTimeToDate } = require('./timezones');
+const { getUsersBlocking } = require('./userBlocks');
+const { getProfiles, getDisplayName } = require('./userProfiles');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('gameInvitations');
+
+const STATUSES = ['pending', 'accepted', 'declined', 'expired'];
+const RESPONSES = { accept: 'accepted', decline: 'declined' };
+
+// Invitations without a known kick-off time expire after a week
+const DEFAULT_EXPIRY_MS = 7 * 24 * 60 * 60 * 1000;
+
+const LIST_LIMIT = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How many invitations one user may send, and one user may receive, per window
+const RATE_LIMITS = {
+  inviter: {
+    column: 'inviter_id',
+    max: getConfig().invitesPerInviterPerHour,
+    windowMs: HOUR_MS
+  },
+  target: {
+    column: 'invitee_id',
+    max: getConfig().invitesPerTargetPerDay,
+    windowMs: 24 * HOUR_MS
+  }
+};
+
+// Reasons an invitation can be refused
+const INVITATION_ERRORS = {
+  incomplete_game_time: 'The game date and time must be given together',
+  invalid_game_time: 'The game date, time or timezone is not valid, or the game has already started',
+  self_invite: 'You cannot invite yourself',
+  blocked: 'This user is not accepting invitations from you',
+  duplicate_invitation: 'This user has already been invited to this game',
+  inviter_rate_limited: 'You have sent too many invitations, try again later',
+  target_rate_limited: 'This user has received too many invitations, try again later'
+};
+
+/**
+ * Check and record a new pending invitation
+ * @param {object} invitation - { gameId, inviterId, inviteeId, pitchName, gameDate, gameTime, pitchTimezone }
+ * @returns {Promise<object>} - { invitation } when stored, otherwise { error, code } with one of the
+ *   INVITATION_ERRORS codes, plus retryAfter (seconds) when rate limited
+ */
+async function createInvitation(invitation) {
+  const outcomes = await createInvitations(invitation, [invitation.inviteeId]);
+  return outcomes.get(invitation.inviteeId);
+}
+
+/**
+ * Check and record invitations from one inviter to several users for the same game
+ * Checks and inserts are batched, so the number of queries doesn't grow with the invitees.
+ * @param {object} details - { gameId, inviterId, pitchName, gameDate, gameTime, pitchTimezone }
+ * @param {string[]} inviteeIds - Users to invite
+ * @returns {Promise<Map<string, object>>} - Map of invitee ID to an outcome as returned by createInvitation
+ */
+async function createInvitations(details, inviteeIds) {
+  const { gameId, inviterId } = details;
+  const outcomes = new Map();
+  const now = Date.now();
+
+  const refuse = (inviteeId, rejection) => {
+    logger.info('Invitation refused', { inviterId, inviteeId, code: rejection.code });
+    outcomes.set(inviteeId, rejection);
+  };
+
+  // Checked before anything is stored, so a bad date can be corrected and resent.
+  // A game that already started could never be answered: its invitation would expire at once.
+  if (!details.gameDate !== !details.gameTime) {
+    [...new Set(inviteeIds)].forEach(inviteeId => refuse(inviteeId, reject('incomplete_game_time')));
+    return outcomes;
+  }
+
+  const kickOff = getKickOff(details);
+  if (kickOff && !(kickOff.getTime() > now)) {
+    [...new Set(inviteeIds)].forEach(inviteeId => refuse(inviteeId, reject('invalid_game_time')));
+    return outcomes;
+  }
+
+  let candidates = [...new Set(inviteeIds)].filter(inviteeId => {
+    if (inviteeId === inviterId) {
+      refuse(inviteeId, reject('self_invite'));
+      return false;
+    }
+    return true;
+  });
+
+  const blockers = await getUsersBlocking(inviterId, candidates);
+  const alreadyInvited = await getInvitedUsers(gameId, candidates);
+  const targetHistory = await getRecentInvitations(RATE_LIMITS.target, candidates, now);
+
+  candidates = candidates.filter(inviteeId => {
+    if (blockers.has(inviteeId)) {
+      refuse(inviteeId, reject('blocked'));
+      return false;
+    }
+
+    // Each game invites a user once, whatever became of the first invitation
+    if (alreadyInvited.has(inviteeId)) {
+      refuse(inviteeId, reject('duplicate_invitation'));
+      return false;
+    }
+
+    const retryAfter = getRetryAfter(RATE_LIMITS.target, targetHistory.get(inviteeId), now);
+    if (retryAfter !== null) {
+      refuse(inviteeId, { ...reject('target_rate_limited'), retryAfter });
+      return false;
+    }
+
+    return true;
+  });
+
+  // The inviter's remaining allowance goes to the invitees in the order given
+  const inviterHistory = (await getRecentInvitations(RATE_LIMITS.inviter, [inviterId], now)).get(inviterId);
+  const allowance = Math.max(0, RATE_LIMITS.inviter.max - inviterHistory.length);
+
+  if (candidates.length > allowance) {
+    const retryAfter = getRetryAfter(RATE_LIMITS.inviter, inviterHistory, now, candidates.length);
+    candidates.slice(allowance).forEach(inviteeId => {
+      refuse(inviteeId, { ...reject('inviter_rate_limited'), retryAfter });
+    });
+    candidates = candidates.slice(0, allowance);
+  }
+
+  if (candidates.length === 0) {
+    return outcomes;
+  }
+
+  // Pending invitations expire at kick-off, or after DEFAULT_EXPIRY_MS when it isn't known
+  const expiresAt = (kickOff || new Date(now + DEFAULT_EXPIRY_MS)).toISOString();
+  const rows = candidates.map(inviteeId => ({
+    game_id: gameId,
+    inviter_id: inviterId,
+    invitee_id: inviteeId,
+    pitch_name: details.pitchName || null,
+    status: 'pending',
+    expires_at: expiresAt
+  }));
+
+  const { data, error } = await supabase
+    .from('game_invitations')
+    .insert(rows)
+    .select();
+
+  if (!error) {
+    (data || []).forEach(row => outcomes.set(row.invitee_id, { invitation: fromRow(row) }));
+    return outcomes;
+  }
+
+  // The unique (game, invitee) index catches invitations sent at the same
+  // moment; retry one by one so the rest of the batch still goes out
+  if (error.code !== '23505') {
+    throw new Error(`Failed to create invitations: ${error.message}`);
+  }
+
+  for (const row of rows) {
+    const { data: inserted, error: rowError } = await supabase
+      .from('game_invitations')
+      .insert(row)
+      .select()
+      .single();
+
+    if (rowError && rowError.code === '23505') {
+      refuse(row.invitee_id, reject('duplicate_invitation'));
+    } else if (rowError) {
+      throw new Error(`Failed to create invitation: ${rowError.message}`);
+    } else {
+      outcomes.set(row.invitee_id, { invitation: fromRow(inserted) });
+    }
+  }
+
+  return outcomes;
+}
+
+/**
+ * Kick-off of the invited game, from its local date and time at the pitch
+ * @param {object} details - { gameDate, gameTime, pitchTimezone }
+ * @returns {Date|null} - null when neither date nor time is given; an invalid Date when they don't resolve
+ */
+function getKickOff({ gameDate, gameTime, pitchTimezone }) {
+  if (!gameDate && !gameTime) {
+    return null;
+  }
+
+  if (pitchTimezone && !isValidTimezone(pitchTimezone)) {
+    return new Date(NaN);
+  }
+
+  return zonedTimeToDate(gameDate, gameTime, pitchTimezone);
+}
+
+/**
+ * Localized copy for an invitation push, e.g. "Ahmed invited you to join a match at Pitch 3 on Sat, Jun 1, 6:00 PM"
+ * The pitch and match time are left out when the game has none.
+ * @param {string} inviterName - Display name of the inviter
+ * @param {object} details - { pitchName, gameDate, gameTime, pitchTimezone }, already checked by createInvitations
+ * @returns {object} - Template for dispatchNotification / enqueueNotification
+ */
+function getInvitationTemplate(inviterName, details) {
+  const kickOff = getKickOff(details);
+  const key = 'game_invitation' + (details.pitchName ? '' : '_no_pitch') + (kickOff ? '' : '_no_time');
+
+  return {
+    key,
+    params: {
+      inviterName,
+      pitchName: details.pitchName,
+      matchTime: kickOff ? { datetime: kickOff.toISOString() } : null
+    }
+  };
+}
+
+// Invitees who already have an invitation to the game
+async function getInvitedUsers(gameId, inviteeIds) {
+  if (inviteeIds.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('game_invitations')
+    .select('invitee_id')
+    .eq('game_id', gameId)
+    .in('invitee_id', inviteeIds);
+
+  if (error) {
+    throw new Error(`Failed to check for duplicate invitations: ${error.message}`);
+  }
+
+  return new Set((data || []).map(row => row.invitee_id));
+}
+
+// Creation times (ms, newest first) of each user's invitations inside the limit's window
+async function getRecentInvitations(limit, userIds, now) {
+  const history = new Map(userIds.map(userId => [userId, []]));
+
+  if (userIds.length === 0) {
+    return history;
+  }
+
+  const { data, error } = await supabase
+    .from('game_invitations')
+    .select(`${limit.column}, created_at`)
+    .in(limit.column, userIds)
+    .gt('created_at', new Date(now - limit.windowMs).toISOString())
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to check invitation rate limit: ${error.message}`);
+  }
+
+  (data || []).forEach(row => {
+    history.get(row[limit.column]).push(new Date(row.created_at).getTime());
+  });
+
+  return history;
+}
+
+// Seconds until `needed` more invitations fit in the limit's window, or null if they fit now
+function getRetryAfter(limit, history, now, needed = 1) {
+  if (history.length + needed <= limit.max) {
+    return null;
+  }
+
+  // Slots free up as the oldest invitations leave the window; when the batch
+  // alone is over the limit, the earliest it could go is a full window from now
+  const freeing = history.length + needed - limit.max;
+  const freedAt = freeing <= history.length ? history[history.length - freeing] : now;
+  return Math.max(1, Math.ceil((freedAt + limit.windowMs - now) / 1000));
+}
+
+function reject(code) {
+  return { error: INVITATION_ERRORS[code], code };
+}
+
+/**
+ * Get an invitation
+ * @returns {Promise<object|null>} - The invitation, or null if it doesn't exist
+ */
+async function getInvitation(invitationId) {
+  const { data, error } = await supabase
+    .from('game_invitations')
+    .select('*')
+    .eq('id', invitationId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch invitation: ${error.message}`);
+  }
+
+  return data ? fromRow(data) : null;
+}
+
+/**
+ * List invitations a user received or sent, newest first
+ * @param {string} userId - Invitee or inviter
+ * @param {object} [filters] - { role: 'received' | 'sent', status }
+ */
+async function listInvitations(userId, filters = {}) {
+  let query = supabase
+    .from('game_invitations')
+    .select('*')
+    .eq(filters.role === 'sent' ? 'inviter_id' : 'invitee_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(LIST_LIMIT);
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list invitations: ${error.message}`);
+  }
+
+  return (data || []).map(fromRow);
+}
+
+/**
+ * Accept or decline an invitation and let the inviter know
+ * @param {string} invitationId - Invitation to respond to
+ * @param {string} userId - Responding user; must be the invitee
+ * @param {string} response - 'accept' or 'decline'
+ * @returns {Promise<object>} - { invitation } on success, otherwise { error, status } where
+ *   status is 'not_found', 'expired' or the invitation's current status
+ */
+async function respondToInvitation(invitationId, userId, response) {
+  const status = RESPONSES[response];
+  const now = new Date().toISOString();
+
+  // Only a pending, unexpired invitation can change, so a double tap or two
+  // devices answering at once only count once
+  const { data: updated, error } = await supabase
+    .from('game_invitations')
+    .update({ status, responded_at: now, updated_at: now })
+    .eq('id', invitationId)
+    .eq('invitee_id', userId)
+    .eq('status', 'pending')
+    .gt('expires_at', now)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to respond to invitation: ${error.message}`);
+  }
+
+  if (!updated) {
+    const current = await getInvitation(invitationId);
+
+    if (!current || current.inviteeId !== userId) {
+      return { error: 'Invitation not found', status: 'not_found' };
+    }
+
+    // Answering the same way twice is fine
+    if (current.status === status) {
+      return { invitation: current };
+    }
+
+    if (current.status === 'pending') {
+      return { error: 'Invitation has expired', status: 'expired' };
+    }
+
+    return { error: `Invitation was already ${current.status}`, status: current.status };
+  }
+
+  const invitation = fromRow(updated);
+  logger.info('Invitation answered', { invitationId: invitation.id, status, userId });
+
+  try {
+    await notifyInviter(invitation);
+  } catch (error) {
+    // The response itself is recorded; a missed feedback push shouldn't undo it
+    logger.error('Error notifying inviter', { invitationId: invitation.id, error });
+  }
+
+  return { invitation };
+}
+
+/**
+ * Mark pending invitations whose match has started as expired
+ * @returns {Promise<number>} - Number of invitations expired
+ */
+async function expireInvitations() {
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('game_invitations')
+    .update({ status: 'expired', updated_at: now })
+    .eq('status', 'pending')
+    .lte('expires_at', now)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to expire invitations: ${error.message}`);
+  }
+
+  const count = (data || []).length;
+  if (count > 0) {
+    logger.info('Expired game invitations', { count });
+  }
+
+  return count;
+}
+
+/**
+ * Push the invitee's response back to the inviter, e.g. "Ahmed accepted your invite to Pitch 3"
+ */
+async function notifyInviter(invitation) {
+  const profiles = await getProfiles([invitation.inviteeId]);
+  const inviteeName = getDisplayName(profiles.get(invitation.inviteeId));
+  const templateKey = invitation.pitchName
+    ? `invitation_${invitation.status}`
+    : `invitation_${invitation.status}_no_pitch`;
+
+  await enqueueNotification([{ userId: invitation.inviterId }], {
+    type: 'invitation_response',
+    template: {
+      key: templateKey,
+      params: {
+        inviteeName,
+        pitchName: invitation.pitchName
+      }
+    },
+    data: {
+      screen: 'GameDetails',
+      gameId: invitation.gameId,
+      invitationId: invitation.id,
+      response: invitation.status
+    },
+    logData: {
+      game_id: invitation.gameId,
+      invitation_id: invitation.id,
+      invitee_id: invitation.inviteeId
+    }
+  }, {
+    // One feedback push per invitation, however many times the response is retried
+    idempotencyKey: `invitation_response:${invitation.id}`
+  });
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    gameId: row.game_id,
+    inviterId: row.inviter_id,
+    inviteeId: row.invitee_id,
+    pitchName: row.pitch_name,
+    status: row.status,
+    expiresAt: row.expires_at,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  STATUSES,
+  RESPONSES,
+  INVITATION_ERRORS,
+  createInvitation,
+  createInvitations,
+  getInvitationTemplate,
+  getInvitation,
+  listInvitations,
+  respondToInvitation,
+  expireInvitations
+};
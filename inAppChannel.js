@@ -0,0 +1,151 @@
+// In-App Channel
+// Live delivery to users who have the app open, over Server-Sent Events.
+// The app keeps a stream open to GET /events and acknowledges each
+// notification it shows; the dispatcher skips the push for users who
+// acknowledge in time, so nobody gets the same notification twice.
+//
+// Streams live in memory, so only sends made by the process holding the
+// stream (the web server and its queue worker) are delivered in-app.
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('inAppChannel');
+
+// How long the dispatcher waits for an acknowledgement before pushing anyway
+const ACK_TIMEOUT_MS = 3000;
+
+// Comment lines keep proxies (e.g. Railway's) from closing idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// userId -> Set of open streams
+const connections = new Map();
+
+// deliveryId -> { userId, resolve, timer }
+const pendingAcks = new Map();
+
+/**
+ * Open an event stream for the authenticated user
+ * @param {object} req - Express request (after authenticate)
+ * @param {object} res - Express response, kept open until the client disconnects
+ */
+function openStream(req, res) {
+  const userId = req.auth.userId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const connection = {
+    res,
+    locale: typeof req.query.locale === 'string' ? req.query.locale : null
+  };
+
+  const userConnections = connections.get(userId) || new Set();
+  userConnections.add(connection);
+  connections.set(userId, userConnections);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    userConnections.delete(connection);
+    if (userConnections.size === 0) {
+      connections.delete(userId);
+    }
+  });
+
+  logger.info('In-app stream opened', { userId, open: userConnections.size });
+}
+
+/**
+ * Check whether a user has the app open
+ */
+function isConnected(userId) {
+  return connections.has(userId);
+}
+
+/**
+ * Locale of one of the user's open streams, if the app sent one
+ */
+function getConnectionLocale(userId) {
+  for (const connection of connections.get(userId) || []) {
+    if (connection.locale) {
+      return connection.locale;
+    }
+  }
+  return null;
+}
+
+/**
+ * Send a notification to every open stream of a user and wait for the app to acknowledge it
+ * @param {string} userId - Recipient
+ * @param {object} notification - { type, title, body, data }
+ * @returns {Promise<boolean>} - Whether the app acknowledged within ACK_TIMEOUT_MS
+ */
+function deliver(userId, notification) {
+  const userConnections = connections.get(userId);
+
+  if (!userConnections || userConnections.size === 0) {
+    return Promise.resolve(false);
+  }
+
+  const deliveryId = crypto.randomUUID();
+  const event = `id: ${deliveryId}\nevent: notification\ndata: ${JSON.stringify({ deliveryId, ...notification })}\n\n`;
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pendingAcks.delete(deliveryId);
+      resolve(false);
+    }, ACK_TIMEOUT_MS);
+
+    pendingAcks.set(deliveryId, { userId, resolve, timer });
+
+    userConnections.forEach(connection => {
+      connection.res.write(event);
+    });
+  });
+}
+
+/**
+ * Record the app's acknowledgement of an in-app notification
+ * @returns {boolean} - Whether the delivery was waiting on this user's acknowledgement
+ */
+function acknowledge(userId, deliveryId) {
+  const pending = pendingAcks.get(deliveryId);
+
+  if (!pending || pending.userId !== userId) {
+    return false;
+  }
+
+  clearTimeout(pending.timer);
+  pendingAcks.delete(deliveryId);
+  pending.resolve(true);
+  return true;
+}
+
+/**
+ * Number of users and streams currently connected
+ */
+function getConnectionStats() {
+  let streams = 0;
+  connections.forEach(userConnections => {
+    streams += userConnections.size;
+  });
+  return { users: connections.size, streams };
+}
+
+module.exports = {
+  openStream,
+  isConnected,
+  getConnectionLocale,
+  deliver,
+  acknowledge,
+  getConnectionStats
+};
@@ -1,26 +1,77 @@
 // Express server for push notifications
+const { checkConfig, describeConfig } = require('./config');
+
+// Checked before anything else loads so every configuration problem is listed
+// at once; every route needs the database, and the API keys authenticate callers
+const config = checkConfig(['database', 'apiKeys']);
+
 const express = require('express');
 const cors = require('cors');
-const { sendPushNotifications, sendBroadcastNotification } = require('./pushNotificationSender');
-const { sendGameInvitationNotification } = require('./gameInvitationSender');
-const { createClient } = require('@supabase/supabase-js');
-
+const { createLogger, logRequests } = require('./logger');
+const { getJobStatus, startQueueWorker } = require('./notificationQueue');
+const { ROLES, authenticate, requireRole } = require('./auth');
+const { assignRequestId, handleError: handleV1Error } = require('./apiContract');
+const { queueBroadcast, queueGameInvitation, queueUserNotification, sendTestNotification } = require('./sendRequests');
+const v1Routes = require('./v1Routes');
+const inAppChannel = require('./inAppChannel');
+const { getPreferences, updatePreferences, validatePreferences } = require('./notificationPreferences');
+const { MAX_PAGE_SIZE, listInbox, getUnreadCount, markRead, markAllRead, deleteNotification } = require('./notificationInbox');
+const { PLATFORMS, registerDevice, unregisterDevice } = require('./pushTokens');
+const { getPushProvider } = require('./pushProviders');
+const { STATUSES: INVITATION_STATUSES, getInvitation, listInvitations, respondToInvitation } = require('./gameInvitations');
+const { blockUser, unblockUser, listBlockedUsers } = require('./userBlocks');
+const { validateSegment, listSegments, getSegment, saveSegment, deleteSegment, isValidSegmentName } = require('./audienceSegments');
+const {
+  STATUSES: SCHEDULE_STATUSES,
+  validateScheduledBroadcast,
+  createScheduledBroadcast,
+  listScheduledBroadcasts,
+  getScheduledBroadcast,
+  updateScheduledBroadcast,
+  cancelScheduledBroadcast
+} = require('./scheduledBroadcasts');
+
+const logger = createLogger('server');
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
-// Initialize Supabase
-const supabaseUrl = process.env.SUPABASE_URL || 'https://wlzuzohbuonvfnembyyl.supabase.co';
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Middleware
+// CORS_ORIGINS is a comma-separated allow-list; browsers are refused when it is unset
+app.use(cors({ origin: config.corsOrigins.length > 0 ? config.corsOrigins : false }));
+app.use(assignRequestId);
+app.use(logRequests);
+app.use(express.json());
 
-if (!supabaseServiceKey) {
-  console.error('❌ SUPABASE_SERVICE_ROLE_KEY environment variable is required');
-  process.exit(1);
+// Versioned API (see apiContract.js); the unversioned routes below keep their original responses
+app.use('/v1', v1Routes);
+app.use('/v1', handleV1Error);
+
+// Sends are queued; reply with the job so callers can poll its progress
+function sendJobAccepted(res, job, extra = {}) {
+  res.status(202).json({
+    success: true,
+    jobId: job.jobId,
+    duplicate: job.duplicate,
+    totalRecipients: job.totalCount,
+    statusUrl: `/notification-jobs/${job.jobId}`,
+    ...extra
+  });
 }
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Rejections from sendRequests in the unversioned { error, details } shape
+function sendRejection(res, rejection) {
+  if (rejection.retryAfter) {
+    res.set('Retry-After', String(rejection.retryAfter));
+  }
+
+  res.status(rejection.status).json({
+    error: rejection.error,
+    code: rejection.code,
+    details: rejection.details.length > 0
+      ? rejection.details.map(detail => detail.field ? `${detail.field} ${detail.message}` : detail.message)
+      : undefined
+  });
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -28,148 +79,659 @@ app.get('/health', (req, res) => {
 });
 
 // Send broadcast notification to all users
-app.post('/send-broadcast-notification', async (req, res) => {
+app.post('/send-broadcast-notification', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const outcome = await queueBroadcast(req.body, {
+      idempotencyKey: req.get('Idempotency-Key'),
+      createdBy: req.auth.userId
+    });
+
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
+    if (outcome.dryRun) {
+      return res.json({ success: true, dryRun: true, audience: outcome.audience });
+    }
+
+    sendJobAccepted(res, outcome.job);
+
+  } catch (error) {
+    logger.error('Broadcast notification error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List saved audience segments
+app.get('/audience-segments', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const segments = await listSegments();
+    res.json({ segments });
+
+  } catch (error) {
+    logger.error('List audience segments error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create or replace a saved audience segment
+app.put('/audience-segments/:name', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { filter, description } = req.body;
+
+    if (!isValidSegmentName(name)) {
+      return res.status(400).json({ error: 'Segment names use lowercase letters, digits, - and _' });
+    }
+
+    const errors = validateSegment(filter);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid segment', details: errors });
+    }
+
+    if (description !== undefined && typeof description !== 'string') {
+      return res.status(400).json({ error: 'Description must be a string' });
+    }
+
+    const segment = await saveSegment(name, { filter, description }, req.auth.userId);
+    res.json(segment);
+
+  } catch (error) {
+    logger.error('Save audience segment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a saved audience segment
+app.delete('/audience-segments/:name', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
   try {
-    const { title, message, data = {}, sound = true } = req.body;
+    const deleted = await deleteSegment(req.params.name);
 
-    if (!title || !message) {
-      return res.status(400).json({ error: 'Title and message are required' });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Audience segment not found' });
     }
 
-    // Get all users with push tokens
-    const { data: users, error } = await supabase
-      .from('user_profiles')
-      .select('push_token')
-      .not('push_token', 'is', null);
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Delete audience segment error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Schedule a broadcast for later, once (sendAt) or on a recurrence
+app.post('/scheduled-broadcasts', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const { fields, error, details } = validateScheduledBroadcast(req.body);
 
     if (error) {
-      console.error('Error fetching users:', error);
-      return res.status(500).json({ error: 'Failed to fetch users' });
+      return res.status(400).json({ error, details });
     }
 
-    if (!users || users.length === 0) {
-      return res.status(404).json({ error: 'No users with push tokens found' });
+    if (fields.segment_name && !(await getSegment(fields.segment_name))) {
+      return res.status(400).json({ error: `Audience segment ${fields.segment_name} not found` });
     }
 
-    const tokens = users.map(user => user.push_token).filter(token => token);
+    const scheduled = await createScheduledBroadcast(fields, req.auth.userId);
+    res.status(201).json(scheduled);
 
-    // Send notifications
-    const result = await sendBroadcastNotification(title, message, tokens, data);
+  } catch (error) {
+    logger.error('Create scheduled broadcast error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    res.json({
-      success: true,
-      sentCount: result.successCount,
-      failedCount: result.failureCount,
-      totalTokens: tokens.length
-    });
+// List scheduled broadcasts, optionally filtered by status
+app.get('/scheduled-broadcasts', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !SCHEDULE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of ${SCHEDULE_STATUSES.join(', ')}` });
+    }
+
+    const scheduled = await listScheduledBroadcasts({ status });
+    res.json({ scheduledBroadcasts: scheduled });
 
   } catch (error) {
-    console.error('Broadcast notification error:', error);
+    logger.error('List scheduled broadcasts error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Send game invitation notification
-app.post('/send-game-invitation', async (req, res) => {
+app.get('/scheduled-broadcasts/:id', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
   try {
-    const { targetUserId, targetUserToken, title, message, data } = req.body;
+    const scheduled = await getScheduledBroadcast(req.params.id);
 
-    if (!targetUserId || !targetUserToken || !title || !message) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (!scheduled) {
+      return res.status(404).json({ error: 'Scheduled broadcast not found' });
     }
 
-    // Send notification to specific user
-    const result = await sendPushNotifications([targetUserToken], title, message, data);
+    res.json(scheduled);
 
-    res.json({
-      success: true,
-      sentCount: result.successCount,
-      failedCount: result.failureCount
-    });
+  } catch (error) {
+    logger.error('Get scheduled broadcast error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a scheduled broadcast; omitted fields are left unchanged
+app.patch('/scheduled-broadcasts/:id', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const current = await getScheduledBroadcast(req.params.id);
+
+    if (!current) {
+      return res.status(404).json({ error: 'Scheduled broadcast not found' });
+    }
+
+    if (current.status !== 'scheduled') {
+      return res.status(409).json({ error: `Scheduled broadcast is already ${current.status}` });
+    }
+
+    const { fields, error, details } = validateScheduledBroadcast(req.body, current);
+
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (fields.segment_name && !(await getSegment(fields.segment_name))) {
+      return res.status(400).json({ error: `Audience segment ${fields.segment_name} not found` });
+    }
+
+    const scheduled = await updateScheduledBroadcast(req.params.id, fields);
+
+    // Ran or was cancelled while this request was in flight
+    if (!scheduled) {
+      return res.status(409).json({ error: 'Scheduled broadcast is no longer scheduled' });
+    }
+
+    res.json(scheduled);
 
   } catch (error) {
-    console.error('Game invitation error:', error);
+    logger.error('Update scheduled broadcast error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Test endpoint to send notification to specific token
-app.post('/test-token', async (req, res) => {
+// Cancel a scheduled broadcast
+app.delete('/scheduled-broadcasts/:id', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
   try {
-    const { token, message = 'Test notification from server' } = req.body;
+    const cancelled = await cancelScheduledBroadcast(req.params.id);
 
-    if (!token) {
-      return res.status(400).json({ error: 'Token is required' });
+    if (!cancelled) {
+      const current = await getScheduledBroadcast(req.params.id);
+      return current
+        ? res.status(409).json({ error: `Scheduled broadcast is already ${current.status}` })
+        : res.status(404).json({ error: 'Scheduled broadcast not found' });
     }
 
-    console.log('🧪 Testing token:', token.substring(0, 20) + '...');
+    res.json(cancelled);
+
+  } catch (error) {
+    logger.error('Cancel scheduled broadcast error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Send notification directly to token
-    const result = await sendPushNotifications([token], 'HAGZ', message, { 
-      test: true,
-      timestamp: new Date().toISOString()
+// Send game invitation notification
+// Users may only invite on their own behalf, to the invitee's devices; admins and services may name any inviter
+app.post('/send-game-invitation', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE, ROLES.USER), async (req, res) => {
+  try {
+    const outcome = await queueGameInvitation(req.body, req.auth, {
+      idempotencyKey: req.get('Idempotency-Key'),
+      createdBy: req.auth.userId
     });
 
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
+    sendJobAccepted(res, outcome.job, { invitationId: outcome.invitation.id });
+
+  } catch (error) {
+    logger.error('Game invitation error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Test endpoint to send notification to specific token
+app.post('/test-token', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const outcome = await sendTestNotification(req.body);
+
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
     res.json({
       success: true,
-      result: result,
-      tokenUsed: token.substring(0, 20) + '...'
+      result: outcome.delivery,
+      tokenUsed: req.body.token.substring(0, 20) + '...'
     });
 
   } catch (error) {
-    console.error('Test token error:', error);
+    logger.error('Test token error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Send notification to specific user
-app.post('/send-user-notification', async (req, res) => {
+app.post('/send-user-notification', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
   try {
-    const { userId, title, message, data = {} } = req.body;
+    const outcome = await queueUserNotification(req.body, {
+      idempotencyKey: req.get('Idempotency-Key'),
+      createdBy: req.auth.userId
+    });
 
-    if (!userId || !title || !message) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
     }
 
-    // Get user's push token
-    const { data: user, error } = await supabase
-      .from('user_profiles')
-      .select('push_token')
-      .eq('id', userId)
-      .single();
+    sendJobAccepted(res, outcome.job);
 
-    if (error || !user || !user.push_token) {
-      return res.status(404).json({ error: 'User not found or no push token' });
+  } catch (error) {
+    logger.error('User notification error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Report progress of a queued send
+// Admins and services can see every job; users only the jobs they created
+app.get('/notification-jobs/:jobId', authenticate, async (req, res) => {
+  try {
+    const job = await getJobStatus(req.params.jobId);
+
+    const canView = job && (req.auth.role !== ROLES.USER || job.createdBy === req.auth.userId);
+    if (!canView) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    // Send notification
-    const result = await sendPushNotifications([user.push_token], title, message, data);
+    res.json(job);
+
+  } catch (error) {
+    logger.error('Job status error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register the caller's device for push notifications (called on app launch and token refresh)
+app.post('/register-device', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { pushToken, platform, appVersion, locale } = req.body;
+
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Devices can only be registered by signed-in users' });
+    }
+
+    if (!pushToken || !getPushProvider().isValidToken(pushToken)) {
+      return res.status(400).json({ error: 'A valid Expo push token is required' });
+    }
+
+    if (platform && !PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `Platform must be one of ${PLATFORMS.join(', ')}` });
+    }
+
+    const device = await registerDevice(req.auth.userId, { pushToken, platform, appVersion, locale });
 
     res.json({
       success: true,
-      sentCount: result.successCount,
-      failedCount: result.failureCount
+      deviceId: device.id
+    });
+
+  } catch (error) {
+    logger.error('Register device error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unregister one of the caller's devices (called on sign out)
+app.post('/unregister-device', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const { pushToken } = req.body;
+
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Devices can only be unregistered by signed-in users' });
+    }
+
+    if (!pushToken) {
+      return res.status(400).json({ error: 'Push token is required' });
+    }
+
+    const removed = await unregisterDevice(req.auth.userId, pushToken);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Unregister device error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the caller's notification preferences
+app.get('/notification-preferences', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Preferences are only available to signed-in users' });
+    }
+
+    const preferences = await getPreferences(req.auth.userId);
+    res.json(preferences);
+
+  } catch (error) {
+    logger.error('Get preferences error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the caller's notification preferences; omitted fields are left unchanged
+app.put('/notification-preferences', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Preferences are only available to signed-in users' });
+    }
+
+    const errors = validatePreferences(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid preferences', details: errors });
+    }
+
+    const preferences = await updatePreferences(req.auth.userId, req.body);
+    res.json(preferences);
+
+  } catch (error) {
+    logger.error('Update preferences error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Live notifications while the app is open (Server-Sent Events)
+// Each `notification` event carries a deliveryId the app acknowledges with POST /events/ack.
+// Query: locale (optional) to render notifications in the app's current language
+app.get('/events', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), (req, res) => {
+  if (!req.auth.userId) {
+    return res.status(403).json({ error: 'Live notifications are only available to signed-in users' });
+  }
+
+  inAppChannel.openStream(req, res);
+});
+
+// Acknowledge an in-app notification so its push is skipped
+app.post('/events/ack', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), (req, res) => {
+  const { deliveryId } = req.body;
+
+  if (!req.auth.userId) {
+    return res.status(403).json({ error: 'Live notifications are only available to signed-in users' });
+  }
+
+  if (!deliveryId || typeof deliveryId !== 'string') {
+    return res.status(400).json({ error: 'deliveryId is required' });
+  }
+
+  // Too late (the push went out) or not this user's delivery
+  if (!inAppChannel.acknowledge(req.auth.userId, deliveryId)) {
+    return res.status(404).json({ error: 'Delivery not found or already expired' });
+  }
+
+  res.json({ success: true });
+});
+
+// Users and streams connected for live notifications, for operators
+app.get('/events/stats', authenticate, requireRole(ROLES.ADMIN), (req, res) => {
+  res.json(inAppChannel.getConnectionStats());
+});
+
+// The caller's notification inbox, newest first
+// Query: type, unread=true, limit (max 100), offset
+app.get('/inbox', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'The inbox is only available to signed-in users' });
+    }
+
+    const { type, unread } = req.query;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    const offset = req.query.offset !== undefined ? Number(req.query.offset) : undefined;
+
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+
+    if (offset !== undefined && !(Number.isInteger(offset) && offset >= 0)) {
+      return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    if (unread !== undefined && unread !== 'true' && unread !== 'false') {
+      return res.status(400).json({ error: 'unread must be true or false' });
+    }
+
+    const inbox = await listInbox(req.auth.userId, {
+      type,
+      unread: unread === 'true',
+      limit,
+      offset
     });
 
+    res.json(inbox);
+
   } catch (error) {
-    console.error('User notification error:', error);
+    logger.error('Inbox error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Validate environment before starting
-console.log('🔍 Environment check:', {
-  port: PORT,
-  supabaseUrl: supabaseUrl,
-  supabaseKeyPresent: !!supabaseServiceKey,
-  nodeEnv: process.env.NODE_ENV
+app.get('/inbox/unread-count', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'The inbox is only available to signed-in users' });
+    }
+
+    const unread = await getUnreadCount(req.auth.userId);
+    res.json({ unread });
+
+  } catch (error) {
+    logger.error('Unread count error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Push notification server running on port ${PORT}`);
-  console.log(`📱 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔑 Supabase connection: ${supabaseUrl}`);
+// Mark every notification read, optionally only one type
+app.post('/inbox/read-all', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'The inbox is only available to signed-in users' });
+    }
+
+    const { type } = req.body;
+
+    if (type !== undefined && typeof type !== 'string') {
+      return res.status(400).json({ error: 'type must be a string' });
+    }
+
+    const updated = await markAllRead(req.auth.userId, { type });
+    res.json({ success: true, updated });
+
+  } catch (error) {
+    logger.error('Mark all read error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
+app.post('/inbox/:notificationId/read', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'The inbox is only available to signed-in users' });
+    }
+
+    const notification = await markRead(req.auth.userId, req.params.notificationId);
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json(notification);
+
+  } catch (error) {
+    logger.error('Mark read error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/inbox/:notificationId', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'The inbox is only available to signed-in users' });
+    }
+
+    const deleted = await deleteNotification(req.auth.userId, req.params.notificationId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Delete notification error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Game invitations
+// 'received' (default) lists invitations sent to the caller, 'sent' the ones they sent
+app.get('/invitations', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Invitations are only available to signed-in users' });
+    }
+
+    const { role = 'received', status } = req.query;
+
+    if (!['received', 'sent'].includes(role)) {
+      return res.status(400).json({ error: "role must be 'received' or 'sent'" });
+    }
+
+    if (status && !INVITATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${INVITATION_STATUSES.join(', ')}` });
+    }
+
+    const invitations = await listInvitations(req.auth.userId, { role, status });
+    res.json({ invitations });
+
+  } catch (error) {
+    logger.error('List invitations error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get('/invitations/:id', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    const invitation = await getInvitation(req.params.id);
+
+    // Only the two people involved can see an invitation
+    if (!invitation || ![invitation.inviterId, invitation.inviteeId].includes(req.auth.userId)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json(invitation);
+
+  } catch (error) {
+    logger.error('Get invitation error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Called by the app, including from the notification's accept/decline actions
+app.post('/invitations/:id/:response(accept|decline)', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Only the invited user can respond to an invitation' });
+    }
+
+    const result = await respondToInvitation(req.params.id, req.auth.userId, req.params.response);
+
+    if (result.error) {
+      const statusCode = result.status === 'not_found' ? 404 : 409;
+      return res.status(statusCode).json({ error: result.error, status: result.status });
+    }
+
+    res.json(result.invitation);
+
+  } catch (error) {
+    logger.error('Invitation response error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Block list: blocked users can no longer send the caller game invitations
+app.get('/blocks', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Blocking is only available to signed-in users' });
+    }
+
+    const blocked = await listBlockedUsers(req.auth.userId);
+    res.json({ blocked });
+
+  } catch (error) {
+    logger.error('List blocks error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/blocks/:userId', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Blocking is only available to signed-in users' });
+    }
+
+    if (req.params.userId === req.auth.userId) {
+      return res.status(400).json({ error: 'You cannot block yourself' });
+    }
+
+    await blockUser(req.auth.userId, req.params.userId);
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Block user error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/blocks/:userId', authenticate, requireRole(ROLES.USER, ROLES.ADMIN), async (req, res) => {
+  try {
+    if (!req.auth.userId) {
+      return res.status(403).json({ error: 'Blocking is only available to signed-in users' });
+    }
+
+    const unblocked = await unblockUser(req.auth.userId, req.params.userId);
+
+    if (!unblocked) {
+      return res.status(404).json({ error: 'User is not blocked' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    logger.error('Unblock user error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start the server when run directly; tests import the app without listening
+if (require.main === module) {
+  logger.info('Configuration', describeConfig(config));
+
+  app.listen(PORT, () => {
+    logger.info('Push notification server running', {
+      port: PORT,
+      database: config.databaseProvider === 'memory' ? 'in-memory' : config.supabaseUrl
+    });
+    startQueueWorker();
+  });
+}
+
 module.exports = app;
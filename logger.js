@@ -0,0 +1,190 @@
+// Logger
+// Structured logs, one JSON object per line:
+//   { time, level, module, msg, requestId, jobId, task, runId, ...fields }
+// Context added with withLogContext (the request ID in Express, a run ID per
+// cron tick, the job ID while a queued job sends) appears on every line logged
+// while it runs, including from async work it starts.
+//
+// Logs are safe to ship: push tokens become a short fingerprint, so one device
+// can still be followed across lines, emails keep only their domain, and
+// credentials are dropped, wherever they appear in the message or the fields.
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('./config');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const PUSH_TOKEN_PATTERN = /(Expo(?:nent)?PushToken\[)([^\]]*)\]/g;
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+
+// Fields whose values are dropped entirely, and fields that hold a push token
+const SECRET_FIELDS = /^(authorization|password|secret|x-api-key|api[-_]?key|access[-_]?token|service[-_]?key|session[-_]?token)$/i;
+const TOKEN_FIELDS = /^(token|push[-_]?token|to)$/i;
+
+// Deep enough for results and tickets; anything below is summarized
+const MAX_DEPTH = 5;
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name added to every line
+ * @returns {object} - { debug, info, warn, error }, each (msg, [fields])
+ */
+function createLogger(module) {
+  const log = level => (msg, fields = {}) => write(level, module, msg, fields);
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error')
+  };
+}
+
+/**
+ * Run a function with fields added to every line it logs
+ * @param {object} context - e.g. { requestId } or { task, runId }
+ * @param {function} fn - Sync or async function
+ * @returns {*} - Whatever fn returns
+ */
+function withLogContext(context, fn) {
+  return contextStorage.run({ ...getLogContext(), ...context }, fn);
+}
+
+/**
+ * Run one tick of a scheduled task with its own run ID on every line it logs
+ * @param {string} task - Task name, e.g. 'match-reminders'
+ * @param {function} fn - Sync or async function
+ * @returns {*} - Whatever fn returns
+ */
+function withTaskContext(task, fn) {
+  return withLogContext({ task, runId: crypto.randomUUID() }, fn);
+}
+
+/**
+ * Fields the current request, tick or job adds to log lines
+ */
+function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+/**
+ * Express middleware tagging the request's logs with its ID and logging its outcome
+ * Must run after assignRequestId (see apiContract.js).
+ */
+function logRequests(req, res, next) {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    // Listeners run outside the request's context, so the ID is passed along
+    write(res.statusCode >= 500 ? 'error' : 'info', 'http', 'Request completed', {
+      requestId: req.requestId,
+      method: req.method,
+      // Without the query string, which may carry anything
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  withLogContext({ requestId: req.requestId }, next);
+}
+
+/**
+ * Redact push tokens, emails and credentials from a value before it is logged
+ * @param {*} value - String, Error, array or object
+ * @returns {*} - Redacted copy (JSON-safe)
+ */
+function redact(value, key = null, depth = 0) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  if (key && SECRET_FIELDS.test(key)) {
+    return '[redacted]';
+  }
+
+  if (typeof value === 'string') {
+    return key && TOKEN_FIELDS.test(key) && !value.match(PUSH_TOKEN_PATTERN)
+      ? fingerprint(value)
+      : redactText(value);
+  }
+
+  if (typeof value !== 'object') {
+    return value;
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[${value.length} items]` : '[object]';
+  }
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, code: value.code, stack: value.stack }, null, depth + 1);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, null, depth + 1));
+  }
+
+  if (value instanceof Map || value instanceof Set) {
+    return redact([...value], null, depth);
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1)])
+  );
+}
+
+function redactText(text) {
+  return text
+    .replace(PUSH_TOKEN_PATTERN, (match, prefix, token) => `${prefix}${fingerprint(token)}]`)
+    .replace(EMAIL_PATTERN, (match, domain) => `***@${domain}`);
+}
+
+// Same token, same fingerprint, so a device's lines can still be found
+function fingerprint(token) {
+  return '#' + crypto.createHash('sha256').update(token).digest('hex').substring(0, 10);
+}
+
+function write(level, module, msg, fields) {
+  if (LEVELS[level] < LEVELS[getConfig().logLevel]) {
+    return;
+  }
+
+  const entry = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    module,
+    msg: redactText(String(msg)),
+    ...getLogContext(),
+    ...redact(fields)
+  });
+
+  // Keeps info on stdout and problems on stderr, as the platform expects
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(entry);
+  } else {
+    console.log(entry);
+  }
+}
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  withLogContext,
+  withTaskContext,
+  getLogContext,
+  logRequests,
+  redact
+};
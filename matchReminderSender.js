@@ -1,256 +1,163 @@
 // Match Reminder Server-Side Notification Sender
-// This handles sending push notifications for match reminders using Expo Push Service
+// This handles sending push notifications for match reminders using Expo Push Service.
+// Each configured stage (e.g. 24h, 2h, 15m before kick-off) fires once per booking.
 
-const { Expo } = require('expo-server-sdk');
-const { createClient } = require('@supabase/supabase-js');
+const { enqueueNotification } = require('./notificationQueue');
+const { getUpcomingMatches, getMatchParticipants, getCompletedStages, claimStages, releaseStage } = require('./matches');
+const { getReminderStages, getDueStage } = require('./reminderStages');
+const { getPreferencesForUsers, wantsReminderStage } = require('./notificationPreferences');
+const { zonedTimeToDate } = require('./timezones');
+const { checkConfig } = require('./config');
+const { createLogger } = require('./logger');
 
-// Initialize Expo SDK
-const expo = new Expo();
-
-// Initialize Supabase (you'll need to set these environment variables)
-const supabaseUrl = process.env.SUPABASE_URL || 'your-supabase-url';
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY || 'your-service-role-key';
-const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const logger = createLogger('matchReminderSender');
 
 /**
  * Main function to check and send match reminders
+ * Evaluates every configured stage for each upcoming match
  */
 async function processMatchReminders() {
-  console.log('🚀 Starting match reminder process...');
-  
+  logger.info('Starting match reminder process');
+
   try {
-    // Get matches that need reminders
-    const { data: matches, error: matchesError } = await supabase
-      .rpc('get_matches_needing_reminders');
+    const stages = getReminderStages();
 
-    if (matchesError) {
-      console.error('❌ Error fetching matches:', matchesError);
+    if (stages.length === 0) {
+      logger.info('No reminder stages configured');
       return;
     }
 
-    if (!matches || matches.length === 0) {
-      console.log('📅 No matches need reminders at this time');
+    // Longest stage decides how far ahead to look
+    const matches = await getUpcomingMatches(stages[0].minutes);
+
+    if (matches.length === 0) {
+      logger.info('No matches need reminders at this time');
       return;
     }
 
-    console.log(`📅 Found ${matches.length} matches needing reminders`);
+    const completedStages = await getCompletedStages(matches.map(match => match.booking_id));
+    const now = Date.now();
+
+    logger.info('Checking upcoming matches', { matches: matches.length, stages: stages.map(stage => stage.key) });
 
     // Process each match
     for (const match of matches) {
-      await processMatchReminder(match);
+      const minutesUntilStart = (getMatchStart(match).getTime() - now) / 60000;
+      const completed = completedStages.get(match.booking_id) || new Set();
+      const { stage, skipped } = getDueStage(stages, minutesUntilStart, completed);
+
+      if (skipped.length > 0) {
+        // Too close to kick-off for these; only the nearest stage is sent
+        await claimStages(match.booking_id, skipped, 'skipped');
+      }
+
+      if (stage) {
+        await processMatchReminder(match, stage);
+      }
     }
 
-    console.log('✅ Match reminder process completed');
+    logger.info('Match reminder process completed');
 
   } catch (error) {
-    console.error('❌ Error in processMatchReminders:', error);
+    logger.error('Error in processMatchReminders', { error });
   }
 }
 
 /**
- * Process reminder for a single match
+ * Process one reminder stage for a single match
  */
-async function processMatchReminder(match) {
-  console.log(`📅 Processing match ${match.booking_id} at ${match.pitch_name}`);
+async function processMatchReminder(match, stage) {
+  const matchFields = { bookingId: match.booking_id, stage: stage.key };
 
-  try {
-    // Get all participants for this match
-    const { data: participants, error: participantsError } = await supabase
-      .rpc('get_match_participants', { booking_uuid: match.booking_id });
+  logger.info('Processing match reminder', { ...matchFields, pitchName: match.pitch_name });
 
-    if (participantsError) {
-      console.error('❌ Error fetching participants:', participantsError);
+  try {
+    // Record the stage first so overlapping runs can't send it twice
+    const claimed = await claimStages(match.booking_id, [stage], 'sent');
+    if (!claimed) {
+      logger.info('Match reminder already handled', matchFields);
       return;
     }
 
-    if (!participants || participants.length === 0) {
-      console.log(`📅 No participants with push tokens found for match ${match.booking_id}`);
-      await markReminderSent(match.booking_id);
+    // Get all participants for this match; a failed lookup releases the stage below
+    const participants = await getMatchParticipants(match.booking_id);
+
+    if (participants.length === 0) {
+      logger.info('No participants with push tokens found', matchFields);
       return;
     }
 
-    // Filter valid Expo push tokens
-    const validParticipants = participants.filter(p => 
-      p.push_token && Expo.isExpoPushToken(p.push_token)
+    // Only participants who want this stage
+    const preferences = await getPreferencesForUsers(participants.map(participant => participant.user_id));
+    const recipients = participants.filter(participant =>
+      wantsReminderStage(preferences.get(participant.user_id), stage.key)
     );
 
-    if (validParticipants.length === 0) {
-      console.log(`📅 No valid push tokens found for match ${match.booking_id}`);
-      await markReminderSent(match.booking_id);
+    if (recipients.length === 0) {
+      logger.info('No participants want this reminder stage', matchFields);
       return;
     }
 
-    // Create notification content
-    const matchTime = formatMatchTime(match.match_date, match.match_time);
-    const matchTypeText = match.match_type === 'ranked' ? 'Ranked Match' : 'Friendly Match';
-    
-    const title = 'HAGZ';
-    const message = `Your match at ${match.pitch_name} starts in 2 hours (${matchTime}). Get ready!`;
-
-    // Prepare notification messages
-    const messages = validParticipants.map(participant => ({
-      to: participant.push_token,
-      sound: 'notification_sound.wav',
-      title: 'HAGZ',
-      body: message,
-      data: {
-        screen: 'GameDetails',
-        gameId: match.booking_id,
-        matchType: match.match_type,
-        pitchName: match.pitch_name,
-        matchTime: matchTime,
-        notificationType: 'match_reminder'
+    const matchStart = getMatchStart(match).toISOString();
+
+    logger.info('Queuing match reminder notifications', { ...matchFields, recipients: recipients.length });
+
+    // Queue by user so every registered device of each participant is reached.
+    // The idempotency key keeps a rerun from queuing the same reminder twice.
+    await enqueueNotification(
+      recipients.map(participant => ({ userId: participant.user_id })),
+      {
+        type: 'match_reminder',
+        // Rendered per recipient in their language and timezone
+        template: {
+          key: 'match_reminder',
+          params: {
+            pitchName: match.pitch_name,
+            leadTime: { duration: stage.minutes },
+            matchTime: { datetime: matchStart }
+          }
+        },
+        // The app shows this as-is, so it is formatted like the body
+        localizedData: {
+          matchTime: { datetime: matchStart }
+        },
+        data: {
+          screen: 'GameDetails',
+          gameId: match.booking_id,
+          matchType: match.match_type,
+          pitchName: match.pitch_name,
+          reminderStage: stage.key
+        },
+        logData: {
+          booking_id: match.booking_id,
+          reminder_type: `${stage.key}_reminder`
+        }
       },
-      priority: 'high',
-      badge: 1
-    }));
-
-    console.log(`📱 Sending ${messages.length} notifications for match ${match.booking_id}`);
-
-    // Send notifications in chunks
-    const chunks = expo.chunkPushNotifications(messages);
-    const tickets = [];
-
-    for (const chunk of chunks) {
-      try {
-        const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-        tickets.push(...ticketChunk);
-        console.log(`✅ Sent chunk of ${chunk.length} notifications`);
-      } catch (error) {
-        console.error('❌ Error sending notification chunk:', error);
-      }
-    }
-
-    // Log notifications in database
-    await logNotifications(validParticipants, match.booking_id, title, message);
-
-    // Mark reminder as sent
-    await markReminderSent(match.booking_id);
-
-    // Process tickets for any errors
-    await processTickets(tickets, validParticipants);
-
-    console.log(`✅ Match reminder completed for ${match.booking_id}`);
-
-  } catch (error) {
-    console.error(`❌ Error processing match reminder for ${match.booking_id}:`, error);
-  }
-}
-
-/**
- * Log notifications in the database
- */
-async function logNotifications(participants, bookingId, title, message) {
-  try {
-    const notificationRecords = participants.map(participant => ({
-      user_id: participant.user_id,
-      type: 'match_reminder',
-      title: title,
-      message: message,
-      data: {
-        booking_id: bookingId,
-        reminder_type: '2_hour_reminder',
-        sent_at: new Date().toISOString()
-      },
-      status: 'sent'
-    }));
-
-    const { error } = await supabase
-      .from('notifications')
-      .insert(notificationRecords);
-
-    if (error) {
-      console.error('❌ Error logging notifications:', error);
-    } else {
-      console.log(`✅ Logged ${notificationRecords.length} notifications in database`);
-    }
-  } catch (error) {
-    console.error('❌ Error in logNotifications:', error);
-  }
-}
-
-/**
- * Mark a match reminder as sent
- */
-async function markReminderSent(bookingId) {
-  try {
-    const { error } = await supabase
-      .rpc('mark_reminder_sent', { booking_uuid: bookingId });
-
-    if (error) {
-      console.error('❌ Error marking reminder as sent:', error);
-    } else {
-      console.log(`✅ Marked reminder as sent for booking ${bookingId}`);
-    }
-  } catch (error) {
-    console.error('❌ Error in markReminderSent:', error);
-  }
-}
-
-/**
- * Process notification tickets for errors and cleanup
- */
-async function processTickets(tickets, participants) {
-  for (let i = 0; i < tickets.length; i++) {
-    const ticket = tickets[i];
-    const participant = participants[i];
+      { idempotencyKey: `match_reminder:${match.booking_id}:${stage.key}` }
+    );
 
-    if (ticket.status === 'error') {
-      console.error(`❌ Notification error for ${participant.email}:`, ticket.message);
-      
-      if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
-        // Token is invalid, should remove it from database
-        console.log(`🧹 Removing invalid token for user ${participant.user_id}`);
-        await removeInvalidToken(participant.user_id);
-      }
-    } else {
-      console.log(`✅ Notification sent successfully to ${participant.email}`);
-    }
-  }
-}
+    logger.info('Match reminder completed', matchFields);
 
-/**
- * Remove invalid push token from database
- */
-async function removeInvalidToken(userId) {
-  try {
-    const { error } = await supabase
-      .from('user_profiles')
-      .update({ push_token: null })
-      .eq('id', userId);
-
-    if (error) {
-      console.error('❌ Error removing invalid token:', error);
-    }
   } catch (error) {
-    console.error('❌ Error in removeInvalidToken:', error);
+    logger.error('Error processing match reminder', { ...matchFields, error });
+    await releaseStage(match.booking_id, stage);
   }
 }
 
 /**
- * Format match date and time for display
+ * Kick-off instant of a match
+ * Bookings store the pitch's local date and time, so they are resolved in the
+ * pitch's timezone rather than the server's
  */
-function formatMatchTime(date, time) {
-  try {
-    const matchDate = new Date(`${date}T${time}`);
-    return matchDate.toLocaleString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-  } catch (error) {
-    return `${date} at ${time}`;
-  }
+function getMatchStart(match) {
+  return zonedTimeToDate(match.match_date, match.match_time, match.pitch_timezone);
 }
 
 /**
  * Manual trigger function for testing
  */
 async function triggerMatchReminders() {
-  console.log('🔧 Manually triggering match reminders...');
+  logger.info('Manually triggering match reminders');
   await processMatchReminders();
 }
 
@@ -262,12 +169,13 @@ module.exports = {
 
 // If running directly, start the process
 if (require.main === module) {
-  console.log('🚀 Match Reminder Service Started');
+  checkConfig(['database']);
+  logger.info('Match Reminder Service started');
   processMatchReminders().then(() => {
-    console.log('✅ Process completed');
+    logger.info('Process completed');
     process.exit(0);
   }).catch(error => {
-    console.error('❌ Process failed:', error);
+    logger.error('Process failed', { error });
     process.exit(1);
   });
 }
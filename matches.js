@@ -0,0 +1,109 @@
+// Matches
+// Data access for upcoming matches, their participants and the reminder
+// stages already handled for each booking (match_reminder_stages)
+
+const { supabase } = require('./supabaseClient');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('matches');
+
+/**
+ * Get confirmed matches kicking off within the horizon
+ * @param {number} horizonMinutes - How far ahead to look
+ * @returns {Promise<object[]>} - { booking_id, pitch_name, pitch_timezone, match_date, match_time, match_type } per match, soonest first
+ */
+async function getUpcomingMatches(horizonMinutes) {
+  const { data, error } = await supabase
+    .rpc('get_upcoming_matches', { horizon_minutes: horizonMinutes });
+
+  if (error) {
+    throw new Error(`Failed to fetch matches: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the players of a match
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<object[]>} - { user_id } per participant
+ */
+async function getMatchParticipants(bookingId) {
+  const { data, error } = await supabase
+    .rpc('get_match_participants', { booking_uuid: bookingId });
+
+  if (error) {
+    throw new Error(`Failed to fetch participants: ${error.message}`);
+  }
+
+  return data || [];
+}
+
+/**
+ * Get the stages already recorded for each booking
+ * @returns {Promise<Map<string, Set<string>>>} - Map of booking ID to stage keys
+ */
+async function getCompletedStages(bookingIds) {
+  const completed = new Map();
+
+  const { data, error } = await supabase
+    .from('match_reminder_stages')
+    .select('booking_id, stage')
+    .in('booking_id', bookingIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch sent reminder stages: ${error.message}`);
+  }
+
+  (data || []).forEach(row => {
+    const stages = completed.get(row.booking_id) || new Set();
+    stages.add(row.stage);
+    completed.set(row.booking_id, stages);
+  });
+
+  return completed;
+}
+
+/**
+ * Record stages for a booking
+ * @returns {Promise<boolean>} - False if the stages were already recorded
+ */
+async function claimStages(bookingId, stages, status) {
+  const { data, error } = await supabase
+    .from('match_reminder_stages')
+    .upsert(
+      stages.map(stage => ({ booking_id: bookingId, stage: stage.key, status })),
+      { onConflict: 'booking_id,stage', ignoreDuplicates: true }
+    )
+    .select('stage');
+
+  if (error) {
+    logger.error('Error recording reminder stage', { bookingId, error });
+    return false;
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * Forget a claimed stage so the next run tries again
+ */
+async function releaseStage(bookingId, stage) {
+  const { error } = await supabase
+    .from('match_reminder_stages')
+    .delete()
+    .eq('booking_id', bookingId)
+    .eq('stage', stage.key);
+
+  if (error) {
+    logger.error('Error releasing reminder stage', { bookingId, stage: stage.key, error });
+  }
+}
+
+module.exports = {
+  getUpcomingMatches,
+  getMatchParticipants,
+  getCompletedStages,
+  claimStages,
+  releaseStage
+};
@@ -0,0 +1,627 @@
+// In-memory Supabase
+// Stand-in for the shared Supabase client (see supabaseClient.js) that keeps
+// every table in memory, selected with DATABASE_PROVIDER=memory so routes and
+// jobs can run and be integration-tested without a Supabase project.
+//
+// It covers the parts of supabase-js this server uses: select/insert/update/
+// upsert/delete with eq, neq, gt, gte, lt, lte, in, is, not and PostgREST `or`
+// filters, order, limit, range, single/maybeSingle, exact counts, the RPCs
+// defined in migrations/ and auth.getUser. Primary keys, unique keys and
+// column defaults mirror the migrations, and unique violations fail with
+// Postgres' 23505 code. Anything else throws so a gap is obvious.
+
+const crypto = require('crypto');
+const { DEFAULT_TIMEZONE, zonedTimeToDate } = require('./timezones');
+
+const now = () => new Date().toISOString();
+const uuid = () => crypto.randomUUID();
+
+// Keys and defaults per table, from migrations/. Tables not listed here
+// (e.g. booking_participants) have no constraints.
+const TABLES = {
+  user_profiles: { primaryKey: ['id'], defaults: { id: uuid } },
+  device_tokens: {
+    primaryKey: ['id'],
+    unique: [['push_token']],
+    defaults: { id: uuid, failure_count: 0, last_seen_at: now, created_at: now }
+  },
+  notifications: {
+    primaryKey: ['id'],
+    unique: [['job_id', 'user_id']],
+    defaults: { id: uuid, created_at: now }
+  },
+  push_tickets: {
+    primaryKey: ['id'],
+    unique: [['ticket_id']],
+    defaults: { id: uuid, status: 'pending', created_at: now }
+  },
+  notification_jobs: {
+    primaryKey: ['id'],
+    unique: [['idempotency_key']],
+    defaults: { id: uuid, total_count: 0, created_at: now }
+  },
+  notification_messages: {
+    primaryKey: ['id'],
+    unique: [['idempotency_key']],
+    defaults: { id: uuid, status: 'pending', attempts: 0, next_attempt_at: now, created_at: now, updated_at: now }
+  },
+  notification_preferences: {
+    primaryKey: ['user_id'],
+    defaults: { muted: false, categories: () => ({}), updated_at: now }
+  },
+  match_reminder_stages: {
+    primaryKey: ['booking_id', 'stage'],
+    defaults: { status: 'sent', created_at: now }
+  },
+  scheduled_broadcasts: {
+    primaryKey: ['id'],
+    defaults: {
+      id: uuid,
+      data: () => ({}),
+      options: () => ({}),
+      localizations: () => ({}),
+      timezone: 'Africa/Cairo',
+      status: 'scheduled',
+      run_count: 0,
+      created_at: now,
+      updated_at: now
+    }
+  },
+  audience_segments: { primaryKey: ['name'], defaults: { created_at: now, updated_at: now } },
+  game_invitations: {
+    primaryKey: ['id'],
+    unique: [['game_id', 'invitee_id']],
+    defaults: { id: uuid, status: 'pending', created_at: now, updated_at: now }
+  },
+  user_blocks: { primaryKey: ['blocker_id', 'blocked_id'], defaults: { created_at: now } },
+  pitches: { primaryKey: ['id'], defaults: { id: uuid, timezone: 'Africa/Cairo' } },
+  bookings: { primaryKey: ['id'], defaults: { id: uuid } }
+};
+
+// SQL functions from migrations/, over the in-memory tables
+const RPCS = {
+  get_upcoming_matches(db, { horizon_minutes }) {
+    const from = Date.now();
+    const until = from + horizon_minutes * 60000;
+    const pitches = new Map(db.rows('pitches').map(pitch => [pitch.id, pitch]));
+
+    return db.rows('bookings')
+      .filter(booking => booking.status === 'confirmed' && pitches.has(booking.pitch_id))
+      .map(booking => {
+        const pitch = pitches.get(booking.pitch_id);
+        return {
+          start: zonedTimeToDate(booking.date, booking.start_time, pitch.timezone || DEFAULT_TIMEZONE).getTime(),
+          match: {
+            booking_id: booking.id,
+            pitch_name: pitch.name,
+            pitch_timezone: pitch.timezone,
+            match_date: booking.date,
+            match_time: booking.start_time,
+            match_type: booking.match_type
+          }
+        };
+      })
+      .filter(({ start }) => start > from && start <= until)
+      .sort((a, b) => a.start - b.start)
+      .map(({ match }) => match);
+  },
+
+  // Lives in the app's Supabase project rather than migrations/; here it reads
+  // a booking_participants table of { booking_id, user_id } rows
+  get_match_participants(db, { booking_uuid }) {
+    return db.rows('booking_participants')
+      .filter(participant => participant.booking_id === booking_uuid)
+      .map(participant => ({ user_id: participant.user_id }));
+  },
+
+  get_unread_counts(db, { user_ids }) {
+    const counts = new Map();
+
+    db.rows('notifications')
+      .filter(notification => user_ids.includes(notification.user_id))
+      .filter(notification => isNull(notification.deleted_at) && isNull(notification.read_at))
+      .forEach(notification => {
+        counts.set(notification.user_id, (counts.get(notification.user_id) || 0) + 1);
+      });
+
+    return [...counts].map(([user_id, unread]) => ({ user_id, unread }));
+  },
+
+  record_token_failures(db, { tokens }) {
+    db.rows('device_tokens')
+      .filter(device => tokens.includes(device.push_token))
+      .forEach(device => {
+        device.failure_count = (device.failure_count || 0) + 1;
+        device.last_failure_at = now();
+      });
+
+    return null;
+  }
+};
+
+const LITERALS = { null: null, true: true, false: false };
+
+const FILTERS = {
+  eq: (value, operand) => !isNull(value) && compare(value, operand) === 0,
+  neq: (value, operand) => !isNull(value) && compare(value, operand) !== 0,
+  gt: (value, operand) => !isNull(value) && compare(value, operand) > 0,
+  gte: (value, operand) => !isNull(value) && compare(value, operand) >= 0,
+  lt: (value, operand) => !isNull(value) && compare(value, operand) < 0,
+  lte: (value, operand) => !isNull(value) && compare(value, operand) <= 0,
+  in: (value, operands) => !isNull(value) && operands.some(operand => compare(value, operand) === 0),
+  is: (value, operand) => operand === null ? isNull(value) : value === operand
+};
+
+/**
+ * Create an in-memory Supabase client
+ * @param {object} [seed] - Rows to start with, as { [table]: rows }
+ * @returns {object} - Client with the supabase-js surface plus seed, getRows,
+ *   reset and addSession helpers for tests
+ */
+function createMemorySupabase(seed = {}) {
+  const tables = new Map();
+  const sessions = new Map();
+
+  const db = {
+    rows(table) {
+      if (!tables.has(table)) {
+        tables.set(table, []);
+      }
+      return tables.get(table);
+    }
+  };
+
+  const client = {
+    from: table => new MemoryQuery(db, table),
+
+    rpc(name, args = {}) {
+      if (!RPCS[name]) {
+        return Promise.resolve(failure({ code: 'PGRST202', message: `Could not find the function public.${name}` }, 404));
+      }
+      return Promise.resolve({ data: clone(RPCS[name](db, args)), error: null, status: 200 });
+    },
+
+    auth: {
+      async getUser(token) {
+        const user = sessions.get(token);
+        return user
+          ? { data: { user: clone(user) }, error: null }
+          : { data: { user: null }, error: { message: 'invalid JWT', status: 401 } };
+      }
+    },
+
+    /**
+     * Add rows to a table, applying defaults and constraints
+     * @returns {object[]} - The stored rows
+     */
+    seed(table, rows) {
+      const { data, error } = new MemoryQuery(db, table).insert(rows).select().run();
+      if (error) {
+        throw new Error(`Failed to seed ${table}: ${error.message}`);
+      }
+      return data;
+    },
+
+    /**
+     * Current rows of a table
+     */
+    getRows: table => clone(db.rows(table)),
+
+    /**
+     * Let a bearer token authenticate as a user, e.g. { id, app_metadata: { role: 'admin' } }
+     */
+    addSession(token, user) {
+      sessions.set(token, user);
+    },
+
+    /**
+     * Empty every table and forget sessions
+     */
+    reset() {
+      tables.clear();
+      sessions.clear();
+    }
+  };
+
+  Object.entries(seed).forEach(([table, rows]) => client.seed(table, rows));
+
+  return client;
+}
+
+/**
+ * One query, built up by chaining like supabase-js and run when awaited
+ */
+class MemoryQuery {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.schema = TABLES[table] || {};
+    this.action = null;
+    this.filters = [];
+    this.orders = [];
+    this.returning = null;
+    this.countRows = false;
+    this.head = false;
+    this.window = null;
+    this.singleRow = null;
+  }
+
+  select(columns = '*', { count, head = false } = {}) {
+    if (this.action) {
+      this.returning = columns;
+    } else {
+      this.action = 'select';
+      this.returning = columns;
+      this.countRows = count === 'exact';
+      this.head = head;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = toArray(values);
+    return this;
+  }
+
+  upsert(values, { onConflict, ignoreDuplicates = false } = {}) {
+    this.action = 'upsert';
+    this.values = toArray(values);
+    this.conflictColumns = onConflict ? onConflict.split(',').map(column => column.trim()) : this.schema.primaryKey;
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = clone(values);
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+  is(column, value) { return this.where(column, 'is', value); }
+
+  not(column, operator, value) {
+    const matches = toPredicate(column, operator, operator === 'is' ? parseValue(String(value)) : value);
+    this.filters.push(row => !matches(row));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(parseGroup(expression, 'or'));
+    return this;
+  }
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.window = { from: 0, to: count - 1 };
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from, to };
+    return this;
+  }
+
+  single() {
+    this.singleRow = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleRow = 'maybeSingle';
+    return this;
+  }
+
+  where(column, operator, value) {
+    this.filters.push(toPredicate(column, operator, value));
+    return this;
+  }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.run();
+    } catch (error) {
+      return Promise.reject(error).then(resolve, reject);
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  run() {
+    const rows = this.db.rows(this.table);
+
+    switch (this.action) {
+      case 'select':
+        return this.respond(rows.filter(row => this.matches(row)));
+      case 'insert':
+        return this.write(() => this.values.map(values => this.add(rows, values)));
+      case 'upsert':
+        return this.write(() => this.values.map(values => this.merge(rows, values)).filter(Boolean));
+      case 'update':
+        return this.write(() => rows.filter(row => this.matches(row)).map(row => this.set(rows, row, this.values)));
+      case 'delete':
+        return this.respond(this.remove(rows), false);
+      default:
+        throw new Error(`Memory Supabase: no action on ${this.table}`);
+    }
+  }
+
+  matches(row) {
+    return this.filters.every(filter => filter(row));
+  }
+
+  // Writes are all or nothing, as a single statement is in Postgres
+  write(apply) {
+    const rows = this.db.rows(this.table);
+    const before = rows.map(row => ({ ...row }));
+
+    try {
+      return this.respond(apply(), false);
+    } catch (error) {
+      if (!error.postgres) {
+        throw error;
+      }
+      rows.splice(0, rows.length, ...before);
+      return failure(error.postgres, 409);
+    }
+  }
+
+  add(rows, values) {
+    const row = { ...this.defaults(), ...clone(values) };
+    this.checkUnique(rows, row);
+    rows.push(row);
+    return row;
+  }
+
+  merge(rows, values) {
+    const existing = this.conflictColumns && rows.find(row =>
+      this.conflictColumns.every(column => compare(row[column], values[column]) === 0)
+    );
+
+    if (!existing) {
+      return this.add(rows, values);
+    }
+
+    return this.ignoreDuplicates ? null : this.set(rows, existing, values);
+  }
+
+  set(rows, row, values) {
+    const updated = { ...row, ...clone(values) };
+    this.checkUnique(rows.filter(other => other !== row), updated);
+    Object.assign(row, updated);
+    return row;
+  }
+
+  remove(rows) {
+    const removed = rows.filter(row => this.matches(row));
+    const kept = rows.filter(row => !removed.includes(row));
+    rows.splice(0, rows.length, ...kept);
+    return removed;
+  }
+
+  defaults() {
+    const row = {};
+    Object.entries(this.schema.defaults || {}).forEach(([column, value]) => {
+      row[column] = typeof value === 'function' ? value() : value;
+    });
+    return row;
+  }
+
+  checkUnique(rows, row) {
+    const keys = [this.schema.primaryKey, ...(this.schema.unique || [])].filter(Boolean);
+
+    for (const columns of keys) {
+      // NULLs never conflict in a Postgres unique index
+      if (columns.some(column => isNull(row[column]))) {
+        continue;
+      }
+
+      const clash = rows.some(other => columns.every(column => compare(other[column], row[column]) === 0));
+      if (clash) {
+        const error = new Error('duplicate key');
+        error.postgres = {
+          code: '23505',
+          message: `duplicate key value violates unique constraint "${this.table}_${columns.join('_')}_key"`
+        };
+        throw error;
+      }
+    }
+  }
+
+  // Shape rows into a supabase-js response
+  respond(rows, isRead = true) {
+    // Writes only return rows when .select() was chained
+    if (!isRead && this.returning === null) {
+      return { data: null, error: null, count: null, status: 204 };
+    }
+
+    let result = [...rows];
+    const count = this.countRows ? result.length : null;
+
+    if (this.orders.length > 0) {
+      result.sort((a, b) => this.compareRows(a, b));
+    }
+
+    if (this.window) {
+      result = result.slice(this.window.from, this.window.to + 1);
+    }
+
+    const data = result.map(row => project(row, this.returning));
+
+    if (this.head) {
+      return { data: null, error: null, count, status: 200 };
+    }
+
+    if (this.singleRow) {
+      if (data.length > 1 || (data.length === 0 && this.singleRow === 'single')) {
+        return failure({ code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' }, 406);
+      }
+      return { data: data[0] || null, error: null, count, status: 200 };
+    }
+
+    return { data, error: null, count, status: 200 };
+  }
+
+  compareRows(a, b) {
+    for (const { column, ascending, nullsFirst } of this.orders) {
+      const aNull = isNull(a[column]);
+      const bNull = isNull(b[column]);
+
+      if (aNull || bNull) {
+        if (aNull !== bNull) {
+          return aNull === nullsFirst ? -1 : 1;
+        }
+        continue;
+      }
+
+      const order = compare(a[column], b[column]);
+      if (order !== 0) {
+        return ascending ? order : -order;
+      }
+    }
+    return 0;
+  }
+}
+
+// Parse a PostgREST logic expression such as
+// 'status.eq.pending,and(status.eq.processing,locked_at.lt.2024-01-01T00:00:00.000Z)'
+function parseGroup(expression, logic) {
+  const predicates = splitTerms(expression).map(term => {
+    const group = term.match(/^(and|or)\((.*)\)$/);
+    if (group) {
+      return parseGroup(group[2], group[1]);
+    }
+
+    const [column, operator, ...rest] = term.split('.');
+    const raw = rest.join('.');
+
+    if (operator === 'not') {
+      const [negated, ...value] = raw.split('.');
+      const matches = toPredicate(column, negated, parseOperand(negated, value.join('.')));
+      return row => !matches(row);
+    }
+
+    return toPredicate(column, operator, parseOperand(operator, raw));
+  });
+
+  return logic === 'and'
+    ? row => predicates.every(predicate => predicate(row))
+    : row => predicates.some(predicate => predicate(row));
+}
+
+// Split on commas outside parentheses
+function splitTerms(expression) {
+  const terms = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of expression) {
+    if (char === ',' && depth === 0) {
+      terms.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    current += char;
+  }
+
+  if (current.trim()) {
+    terms.push(current.trim());
+  }
+  return terms;
+}
+
+function parseOperand(operator, raw) {
+  if (operator === 'in') {
+    return splitTerms(raw.replace(/^\(|\)$/g, '')).map(value => value.replace(/^"|"$/g, ''));
+  }
+  return operator === 'is' ? parseValue(raw) : raw;
+}
+
+function parseValue(raw) {
+  return Object.prototype.hasOwnProperty.call(LITERALS, raw) ? LITERALS[raw] : raw;
+}
+
+function toPredicate(column, operator, value) {
+  const filter = FILTERS[operator];
+  if (!filter) {
+    throw new Error(`Memory Supabase: unsupported filter ${operator}`);
+  }
+  return row => filter(row[column], value);
+}
+
+// Keep the selected columns; missing columns read as NULL like in Postgres
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') {
+    return clone(row);
+  }
+
+  if (/[():]/.test(columns)) {
+    throw new Error(`Memory Supabase: unsupported select ${columns}`);
+  }
+
+  const projected = {};
+  columns.split(',').map(column => column.trim()).forEach(column => {
+    projected[column] = isNull(row[column]) ? null : clone(row[column]);
+  });
+  return projected;
+}
+
+// Postgres compares timestamps and numbers by value, whatever their text form
+function compare(a, b) {
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+
+  if (isTimestamp(a) && isTimestamp(b)) {
+    return Date.parse(a) - Date.parse(b);
+  }
+
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function isTimestamp(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value);
+}
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+// Values cross the wire as JSON, so callers never share objects with the store
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function toArray(values) {
+  return clone(Array.isArray(values) ? values : [values]);
+}
+
+function failure(error, status) {
+  return { data: null, error: { details: null, hint: null, ...error }, count: null, status };
+}
+
+module.exports = {
+  TABLES,
+  RPCS,
+  createMemorySupabase
+};
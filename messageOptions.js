@@ -0,0 +1,152 @@
+// Push Message Options
+// Validates caller-supplied message options and turns them into Expo push messages
+
+const DEFAULT_TITLE = 'HAGZ';
+const DEFAULT_SOUND = 'notification_sound.wav';
+
+// `badge: 'unread'` sets the app badge to the recipient's unread inbox count
+const BADGE_UNREAD = 'unread';
+
+// Per-type defaults so each kind of notification is presented differently on the device.
+// Channel and category IDs must match the ones registered by the mobile app.
+const TYPE_DEFAULTS = {
+  broadcast: {
+    channelId: 'broadcasts',
+    priority: 'normal'
+  },
+  // The app registers 'accept' and 'decline' actions on this category, which
+  // call POST /invitations/:id/accept|decline with data.invitationId
+  game_invitation: {
+    channelId: 'game-invitations',
+    categoryId: 'game_invitation',
+    priority: 'high',
+    badge: BADGE_UNREAD
+  },
+  invitation_response: {
+    channelId: 'game-invitations',
+    priority: 'high',
+    badge: BADGE_UNREAD
+  },
+  match_reminder: {
+    channelId: 'match-reminders',
+    priority: 'high',
+    badge: BADGE_UNREAD
+  }
+};
+
+const PRIORITIES = ['default', 'normal', 'high'];
+
+// Option name -> validator returning an error message or null
+const VALIDATORS = {
+  title: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  subtitle: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  sound: value => typeof value === 'boolean' || isNonEmptyString(value) ? null : 'must be a boolean or a sound file name',
+  badge: value => isNonNegativeInteger(value) || value === BADGE_UNREAD ? null : `must be a non-negative integer or '${BADGE_UNREAD}'`,
+  channelId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  categoryId: value => isNonEmptyString(value) ? null : 'must be a non-empty string',
+  ttl: value => isNonNegativeInteger(value) ? null : 'must be a non-negative number of seconds',
+  expiration: value => isNonNegativeInteger(value) ? null : 'must be a UNIX timestamp in seconds',
+  priority: value => PRIORITIES.includes(value) ? null : `must be one of ${PRIORITIES.join(', ')}`,
+  mutableContent: value => typeof value === 'boolean' ? null : 'must be a boolean'
+};
+
+/**
+ * Validate message options
+ * @param {object} options - Caller-supplied message options
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validateMessageOptions(options) {
+  if (options === undefined) {
+    return [];
+  }
+
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return ['options must be an object'];
+  }
+
+  const errors = [];
+
+  for (const [key, value] of Object.entries(options)) {
+    const validate = VALIDATORS[key];
+
+    if (!validate) {
+      errors.push(`options.${key} is not supported`);
+      continue;
+    }
+
+    if (value === undefined) {
+      continue;
+    }
+
+    const error = validate(value);
+    if (error) {
+      errors.push(`options.${key} ${error}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Merge caller options over the defaults for a notification type
+ */
+function getMessageOptions(type, options = {}) {
+  return {
+    ...TYPE_DEFAULTS[type],
+    ...options
+  };
+}
+
+/**
+ * Build an Expo push message
+ * @param {string} to - Expo push token
+ * @param {string} body - Notification body
+ * @param {object} data - Data sent with the notification
+ * @param {object} options - Validated message options
+ * @returns {object} - Expo push message
+ */
+function buildPushMessage(to, body, data, options = {}) {
+  const message = {
+    to,
+    title: options.title || DEFAULT_TITLE,
+    body,
+    data,
+    priority: options.priority || 'high'
+  };
+
+  // `sound: false` sends a silent notification, `true` uses the app sound
+  const sound = options.sound === undefined || options.sound === true ? DEFAULT_SOUND : options.sound;
+  if (sound) {
+    message.sound = sound;
+  }
+
+  const passThrough = ['subtitle', 'badge', 'channelId', 'categoryId', 'ttl', 'expiration', 'mutableContent'];
+  passThrough.forEach(key => {
+    if (options[key] !== undefined) {
+      message[key] = options[key];
+    }
+  });
+
+  // The dispatcher swaps 'unread' for the recipient's count; other senders leave the badge alone
+  if (message.badge === BADGE_UNREAD) {
+    delete message.badge;
+  }
+
+  return message;
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+module.exports = {
+  DEFAULT_TITLE,
+  BADGE_UNREAD,
+  validateMessageOptions,
+  getMessageOptions,
+  buildPushMessage
+};
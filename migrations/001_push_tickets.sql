@@ -0,0 +1,22 @@
+-- Push ticket tracking for Expo receipt polling
+-- Every accepted Expo ticket is stored here until its receipt has been fetched
+
+CREATE TABLE IF NOT EXISTS push_tickets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  ticket_id TEXT NOT NULL UNIQUE,
+  notification_id UUID REFERENCES notifications(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE,
+  push_token TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | delivered | failed | expired
+  error_code TEXT,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  checked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS push_tickets_pending_idx
+  ON push_tickets (created_at)
+  WHERE status = 'pending';
+
+-- Delivery outcome on the notification itself ('sent' -> 'delivered' | 'failed')
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS error_code TEXT;
@@ -0,0 +1,23 @@
+-- Device token registry
+-- One row per device so a user signed in on several devices gets pushes on all of them
+
+CREATE TABLE IF NOT EXISTS device_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+  push_token TEXT NOT NULL UNIQUE,
+  platform TEXT CHECK (platform IN ('ios', 'android')),
+  app_version TEXT,
+  locale TEXT,
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS device_tokens_user_id_idx ON device_tokens (user_id);
+
+-- Carry over the tokens stored on user profiles. user_profiles.push_token is still
+-- read as a fallback for app versions that don't call /register-device yet.
+INSERT INTO device_tokens (user_id, push_token)
+SELECT id, push_token
+FROM user_profiles
+WHERE push_token IS NOT NULL
+ON CONFLICT (push_token) DO NOTHING;
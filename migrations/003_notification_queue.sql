@@ -0,0 +1,36 @@
+-- Durable notification queue
+-- A job is one send request; each recipient device gets its own message row so
+-- retries only resend what failed and progress can be reported for large broadcasts
+
+CREATE TABLE IF NOT EXISTS notification_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  idempotency_key TEXT UNIQUE,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_by UUID,
+  total_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS notification_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES notification_jobs(id) ON DELETE CASCADE,
+  idempotency_key TEXT NOT NULL UNIQUE,
+  user_id UUID,
+  push_token TEXT,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | processing | sent | failed | skipped | dead
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_at TIMESTAMPTZ,
+  error_code TEXT,
+  last_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS notification_messages_due_idx
+  ON notification_messages (next_attempt_at)
+  WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS notification_messages_job_idx
+  ON notification_messages (job_id, status);
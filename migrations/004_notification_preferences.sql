@@ -0,0 +1,15 @@
+-- Per-user notification preferences
+-- categories holds one boolean per notification type; types missing from it are enabled
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES user_profiles(id) ON DELETE CASCADE,
+  muted BOOLEAN NOT NULL DEFAULT FALSE,
+  categories JSONB NOT NULL DEFAULT '{}'::jsonb,
+  quiet_hours_start TEXT, -- 'HH:MM' in the user's timezone
+  quiet_hours_end TEXT,
+  timezone TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- notifications.status and notification_messages.status gain 'suppressed' for
+-- messages withheld because of the recipient's preferences
@@ -0,0 +1,36 @@
+-- Multi-stage match reminders
+-- Each (booking, stage) pair is recorded once, replacing the single
+-- mark_reminder_sent flag per booking
+
+CREATE TABLE IF NOT EXISTS match_reminder_stages (
+  booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+  stage TEXT NOT NULL, -- e.g. '24h', '2h', '15m'
+  status TEXT NOT NULL DEFAULT 'sent', -- sent | skipped
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (booking_id, stage)
+);
+
+-- Stages a user wants reminders for; NULL means every configured stage
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS reminder_stages JSONB;
+
+-- Confirmed matches kicking off within the next horizon_minutes.
+-- Returns the same columns as get_matches_needing_reminders.
+CREATE OR REPLACE FUNCTION get_upcoming_matches(horizon_minutes INTEGER)
+RETURNS TABLE (
+  booking_id UUID,
+  pitch_name TEXT,
+  match_date DATE,
+  match_time TIME,
+  match_type TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT b.id, p.name, b.date, b.start_time, b.match_type
+  FROM bookings b
+  JOIN pitches p ON p.id = b.pitch_id
+  WHERE b.status = 'confirmed'
+    AND (b.date + b.start_time) > NOW() AT TIME ZONE 'UTC'
+    AND (b.date + b.start_time) <= (NOW() AT TIME ZONE 'UTC') + make_interval(mins => horizon_minutes)
+  ORDER BY b.date, b.start_time;
+$$;
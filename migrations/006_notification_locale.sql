@@ -0,0 +1,6 @@
+-- Localized notification copy
+-- Queued messages keep the recipient's locale and timezone so the worker can
+-- render each message in the recipient's language
+
+ALTER TABLE notification_messages ADD COLUMN IF NOT EXISTS locale TEXT;
+ALTER TABLE notification_messages ADD COLUMN IF NOT EXISTS timezone TEXT;
@@ -0,0 +1,31 @@
+-- Timezone-correct match times
+-- Bookings store the pitch's local date and start time; each pitch records its
+-- IANA timezone so kick-off can be resolved to an absolute instant
+
+ALTER TABLE pitches ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'Africa/Cairo';
+
+-- The return type changes, so the function has to be recreated
+DROP FUNCTION IF EXISTS get_upcoming_matches(INTEGER);
+
+-- Confirmed matches kicking off within the next horizon_minutes.
+-- match_date and match_time are local to pitch_timezone.
+CREATE OR REPLACE FUNCTION get_upcoming_matches(horizon_minutes INTEGER)
+RETURNS TABLE (
+  booking_id UUID,
+  pitch_name TEXT,
+  pitch_timezone TEXT,
+  match_date DATE,
+  match_time TIME,
+  match_type TEXT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT b.id, p.name, p.timezone, b.date, b.start_time, b.match_type
+  FROM bookings b
+  JOIN pitches p ON p.id = b.pitch_id
+  WHERE b.status = 'confirmed'
+    AND ((b.date + b.start_time) AT TIME ZONE p.timezone) > NOW()
+    AND ((b.date + b.start_time) AT TIME ZONE p.timezone) <= NOW() + make_interval(mins => horizon_minutes)
+  ORDER BY (b.date + b.start_time) AT TIME ZONE p.timezone;
+$$;
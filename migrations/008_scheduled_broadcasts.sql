@@ -0,0 +1,30 @@
+-- Scheduled and recurring broadcasts
+-- A broadcast either fires once at send_at or repeats on a cron-style
+-- recurrence in the given timezone. The cron process queues each run as a
+-- notification job when next_run_at comes due.
+
+CREATE TABLE IF NOT EXISTS scheduled_broadcasts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  options JSONB NOT NULL DEFAULT '{}',
+  localizations JSONB NOT NULL DEFAULT '{}',
+  send_at TIMESTAMPTZ, -- one-off broadcasts
+  recurrence TEXT, -- recurring broadcasts, e.g. '0 18 * * *'
+  timezone TEXT NOT NULL DEFAULT 'Africa/Cairo',
+  status TEXT NOT NULL DEFAULT 'scheduled', -- scheduled | completed | cancelled | failed
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  last_job_id UUID REFERENCES notification_jobs(id) ON DELETE SET NULL,
+  last_error TEXT,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  created_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK ((send_at IS NULL) <> (recurrence IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS scheduled_broadcasts_due_idx
+  ON scheduled_broadcasts (next_run_at)
+  WHERE status = 'scheduled';
@@ -0,0 +1,28 @@
+-- Audience segmentation for broadcasts
+-- Profile attributes the segment filters match on, named saved segments, and
+-- the audience of scheduled broadcasts
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS city TEXT;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS area TEXT;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS favorite_pitch_id UUID REFERENCES pitches(id) ON DELETE SET NULL;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS player_type TEXT
+  CHECK (player_type IN ('ranked', 'friendly'));
+
+CREATE INDEX IF NOT EXISTS user_profiles_city_idx ON user_profiles (city);
+CREATE INDEX IF NOT EXISTS device_tokens_last_seen_idx ON device_tokens (last_seen_at);
+
+-- filter holds the same JSON as a broadcast's `segment`
+CREATE TABLE IF NOT EXISTS audience_segments (
+  name TEXT PRIMARY KEY,
+  description TEXT,
+  filter JSONB NOT NULL,
+  updated_by UUID,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- segment_name is resolved at each run. It is deliberately not a foreign key:
+-- clearing it when a segment is deleted would widen the broadcast to everyone,
+-- whereas a missing segment makes the run fail and record last_error.
+ALTER TABLE scheduled_broadcasts ADD COLUMN IF NOT EXISTS segment JSONB;
+ALTER TABLE scheduled_broadcasts ADD COLUMN IF NOT EXISTS segment_name TEXT;
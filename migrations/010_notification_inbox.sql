@@ -0,0 +1,31 @@
+-- Notification inbox
+-- Read state for the in-app inbox. Deleting from the inbox only sets
+-- deleted_at so the row stays available for delivery reporting.
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS notifications_inbox_idx
+  ON notifications (user_id, created_at DESC)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS notifications_unread_idx
+  ON notifications (user_id)
+  WHERE deleted_at IS NULL AND read_at IS NULL;
+
+-- Unread counts for badge numbers; users without unread notifications are omitted
+CREATE OR REPLACE FUNCTION get_unread_counts(user_ids UUID[])
+RETURNS TABLE (
+  user_id UUID,
+  unread BIGINT
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT n.user_id, COUNT(*)
+  FROM notifications n
+  WHERE n.user_id = ANY(user_ids)
+    AND n.deleted_at IS NULL
+    AND n.read_at IS NULL
+  GROUP BY n.user_id;
+$$;
@@ -0,0 +1,29 @@
+-- Game invitations
+-- One row per invitation so the invitee can accept or decline (from the app or
+-- straight from the notification) and the inviter hears back. Pending
+-- invitations expire at kick-off, or a week after sending when the match time
+-- isn't known.
+
+CREATE TABLE IF NOT EXISTS game_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL,
+  inviter_id UUID NOT NULL,
+  invitee_id UUID NOT NULL,
+  pitch_name TEXT,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending | accepted | declined | expired
+  expires_at TIMESTAMPTZ NOT NULL,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (status IN ('pending', 'accepted', 'declined', 'expired'))
+);
+
+CREATE INDEX IF NOT EXISTS game_invitations_invitee_idx
+  ON game_invitations (invitee_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS game_invitations_inviter_idx
+  ON game_invitations (inviter_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS game_invitations_expiry_idx
+  ON game_invitations (expires_at)
+  WHERE status = 'pending';
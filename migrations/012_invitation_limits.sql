@@ -0,0 +1,22 @@
+-- Invitation spam protection
+-- Users can block others from inviting them, and each game invites a user at
+-- most once. Rate limits count recent rows per inviter and per invitee using
+-- the indexes from 011.
+
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id UUID NOT NULL,
+  blocked_id UUID NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id)
+);
+
+-- Keep the first invitation of any (game, invitee) pair sent before this migration
+DELETE FROM game_invitations later
+USING game_invitations earlier
+WHERE later.game_id = earlier.game_id
+  AND later.invitee_id = earlier.invitee_id
+  AND (later.created_at, later.id) > (earlier.created_at, earlier.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS game_invitations_game_invitee_idx
+  ON game_invitations (game_id, invitee_id);
+
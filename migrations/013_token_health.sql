@@ -0,0 +1,23 @@
+-- Device token health
+-- Counts consecutive delivery failures per device so the hygiene job
+-- (tokenHygiene.js) can purge tokens that keep failing, alongside tokens whose
+-- device hasn't registered in a long time (indexed in 009). A successful send
+-- resets the count.
+
+ALTER TABLE device_tokens
+  ADD COLUMN IF NOT EXISTS failure_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS device_tokens_failing_idx ON device_tokens (failure_count)
+  WHERE failure_count > 0;
+
+-- Increment in one statement; an update through the client can't add to a column
+CREATE OR REPLACE FUNCTION record_token_failures(tokens TEXT[])
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE device_tokens
+  SET failure_count = failure_count + 1,
+      last_failure_at = NOW()
+  WHERE push_token = ANY(tokens);
+$$;
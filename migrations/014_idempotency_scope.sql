@@ -0,0 +1,9 @@
+-- Idempotency keys scoped to the caller
+-- notification_jobs.idempotency_key now holds '<created_by>:<key>' ('server:<key>'
+-- for API keys and the server's own jobs), so one caller's key can never return
+-- another caller's job. request_hash fingerprints what was asked for, so a key
+-- reused for a different request is refused instead of answered with the old job.
+-- Keys stored before this migration are unscoped and simply stop matching.
+
+ALTER TABLE notification_jobs
+  ADD COLUMN IF NOT EXISTS request_hash TEXT;
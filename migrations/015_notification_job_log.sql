@@ -0,0 +1,12 @@
+-- One notification per job and user
+-- The queue worker finishes a job's messages over several batches (retries, or
+-- a user's devices claimed apart), and each batch used to log its own row.
+-- job_id ties a row to its job so each user is logged once; later batches only
+-- mark the row sent when another device got the push. Direct sends leave
+-- job_id NULL, which never conflicts.
+
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES notification_jobs(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS notifications_job_user_idx
+  ON notifications (job_id, user_id);
@@ -0,0 +1,140 @@
+// Mock Push Provider
+// In-memory stand-in for the Expo push service (see pushProviders.js). Every
+// message gets an 'ok' ticket and receipt unless its token is set to fail,
+// so error handling such as dead token cleanup can be exercised offline.
+//
+// Tickets and receipts live in this process's memory: only the process that
+// sent a message can fetch its receipt. It is for tests and local runs;
+// config.js refuses it outside APP_ENV=dev, as deployments poll receipts from
+// the cron process rather than the server that sent.
+//
+// Failures can be configured in code, or for a whole run with
+//   MOCK_PUSH_TICKET_ERRORS=ExponentPushToken[a]=DeviceNotRegistered,...
+//   MOCK_PUSH_RECEIPT_ERRORS=ExponentPushToken[b]=MessageRateExceeded,...
+
+const crypto = require('crypto');
+const { Expo } = require('expo-server-sdk');
+const { getConfig } = require('./config');
+
+const ERROR_MESSAGES = {
+  DeviceNotRegistered: 'The recipient device is not registered with FCM or APNs',
+  MessageTooBig: 'The notification payload is too large',
+  MessageRateExceeded: 'Too many messages sent to this device',
+  InvalidCredentials: 'The push credentials for this app are invalid'
+};
+
+/**
+ * Create an in-memory push provider
+ * @param {object} [config] - { ticketErrors, receiptErrors } mapping a token to an Expo error code;
+ *   defaults to MOCK_PUSH_TICKET_ERRORS and MOCK_PUSH_RECEIPT_ERRORS
+ * @returns {object} - Provider plus helpers to configure it and inspect what was sent
+ */
+function createMockPushProvider(config = {}) {
+  // Used offline only, to split batches exactly as the real service expects
+  const expo = new Expo();
+
+  const { mockPushTicketErrors, mockPushReceiptErrors } = getConfig();
+  const ticketErrors = new Map(Object.entries(config.ticketErrors || parseErrors(mockPushTicketErrors)));
+  const receiptErrors = new Map(Object.entries(config.receiptErrors || parseErrors(mockPushReceiptErrors)));
+  const receipts = new Map();
+  const sent = [];
+  let sendError = null;
+
+  return {
+    name: 'mock',
+    isValidToken: token => Expo.isExpoPushToken(token),
+    chunkMessages: messages => expo.chunkPushNotifications(messages),
+    chunkReceiptIds: ids => expo.chunkPushNotificationReceiptIds(ids),
+
+    async sendMessages(messages) {
+      if (sendError) {
+        const error = sendError;
+        sendError = null;
+        throw error;
+      }
+
+      sent.push(...messages);
+
+      return messages.map(message => {
+        if (ticketErrors.has(message.to)) {
+          return toError(ticketErrors.get(message.to), message.to);
+        }
+
+        const id = crypto.randomUUID();
+        receipts.set(id, receiptErrors.has(message.to)
+          ? toError(receiptErrors.get(message.to), message.to)
+          : { status: 'ok' });
+        return { status: 'ok', id };
+      });
+    },
+
+    async getReceipts(ids) {
+      const ready = {};
+      ids.filter(id => receipts.has(id)).forEach(id => {
+        ready[id] = receipts.get(id);
+      });
+      return ready;
+    },
+
+    /**
+     * Make sends to a token fail with an Expo error code
+     * @param {string} token - Push token
+     * @param {string} errorCode - e.g. 'DeviceNotRegistered'
+     * @param {object} [options] - { onReceipt } to fail the receipt instead of the ticket
+     */
+    failToken(token, errorCode, { onReceipt = false } = {}) {
+      (onReceipt ? receiptErrors : ticketErrors).set(token, errorCode);
+    },
+
+    /**
+     * Make the next sendMessages call throw, as a network failure would
+     */
+    failNextSend(error = new Error('Mock push service unavailable')) {
+      sendError = error;
+    },
+
+    /**
+     * Messages sent so far, in order
+     */
+    getSentMessages() {
+      return [...sent];
+    },
+
+    /**
+     * Forget sent messages, receipts and configured failures
+     */
+    reset() {
+      sent.length = 0;
+      receipts.clear();
+      ticketErrors.clear();
+      receiptErrors.clear();
+      sendError = null;
+    }
+  };
+}
+
+// 'token=Code,token=Code' -> { token: Code }
+function parseErrors(value) {
+  const errors = {};
+
+  (value || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.lastIndexOf('=');
+    if (separator > 0) {
+      errors[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+  });
+
+  return errors;
+}
+
+function toError(errorCode, token) {
+  return {
+    status: 'error',
+    message: ERROR_MESSAGES[errorCode] || `Mock ${errorCode} error`,
+    details: { error: errorCode, expoPushToken: token }
+  };
+}
+
+module.exports = {
+  createMockPushProvider
+};
@@ -0,0 +1,487 @@
+// Notification Dispatcher
+// Single path for sending push notifications: resolves recipients, applies
+// their preferences, renders copy in each recipient's language, delivers
+// in-app to users with the app open, validates tokens, sends the remaining
+// pushes in chunks, logs to the database and cleans up dead tokens
+
+const { getPushProvider } = require('./pushProviders');
+const { supabase } = require('./supabaseClient');
+const { getUserPushTokens, cleanUpTokens } = require('./pushTokens');
+const { recordPushTickets } = require('./pushReceipts');
+const { BADGE_UNREAD, getMessageOptions, buildPushMessage } = require('./messageOptions');
+const { getPreferencesForUsers, getSuppressionReason } = require('./notificationPreferences');
+const { renderNotification, renderParams } = require('./notificationTemplates');
+const { getUnreadCounts } = require('./notificationInbox');
+const inAppChannel = require('./inAppChannel');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('notificationDispatcher');
+
+/**
+ * Send a notification to a list of recipients
+ * @param {object[]} recipients - { userId, token, locale, data } per recipient; a userId alone is sent to all of the user's
+ *   devices, and data is merged over payload.data for that recipient only
+ * @param {object} payload - Notification payload
+ * @param {string} payload.type - Notification type (e.g. 'broadcast', 'game_invitation', 'match_reminder')
+ * @param {string} [payload.title] - Notification title, also stored in the notifications table
+ * @param {string} [payload.body] - Notification body
+ * @param {object} [payload.template] - { key, params } of a localized template (see notificationTemplates.js)
+ * @param {object} [payload.localizations] - Per-language { title, body } overrides of title and body
+ * @param {object} [payload.data] - Data sent with the push, also stored on the notifications row for the inbox
+ * @param {object} [payload.localizedData] - Data values rendered per recipient like template params
+ *   (e.g. { matchTime: { datetime } }) and merged over payload.data in the push
+ * @param {object} [payload.logData] - Extra data stored on the notifications row
+ * @param {object} [payload.options] - Message options (see messageOptions.js), merged over the type defaults
+ * @returns {Promise<object>} - Counts plus a per-recipient `results` list
+ */
+async function dispatchNotification(recipients, payload) {
+  logger.info('Dispatching notification', { type: payload.type, recipients: recipients.length });
+
+  const results = await resolveRecipients(recipients, payload.type);
+  await sendMessages(results, payload);
+  return completeDelivery(results, payload);
+}
+
+/**
+ * Deliver pending results in-app where the user has the app open, then send
+ * the rest in Expo-sized chunks and record each ticket on its result
+ * @param {object[]} results - Results from resolveRecipients; pending ones are sent
+ * @param {object} payload - Notification payload (see dispatchNotification)
+ */
+async function sendMessages(results, payload) {
+  // Users who see it in the app don't need the push
+  await deliverInApp(results, payload);
+
+  // In-app-only recipients that weren't reached have nothing left to send to
+  results
+    .filter(result => result.status === 'pending' && !result.token)
+    .forEach(result => {
+      result.status = 'skipped';
+      result.error = 'No push token';
+    });
+
+  const sendable = results.filter(result => result.status === 'pending');
+
+  // Build one message per valid recipient, in the recipient's language
+  const options = getMessageOptions(payload.type, payload.options);
+  const unreadCounts = options.badge === BADGE_UNREAD ? await getBadgeCounts(sendable) : null;
+
+  const messages = sendable.map(result => {
+    result.content = renderContent(payload, result);
+    return buildPushMessage(result.token, result.content.body, getData(payload, result), {
+      ...options,
+      title: options.title || result.content.title,
+      badge: unreadCounts ? getBadge(unreadCounts, result) : options.badge
+    });
+  });
+
+  // Chunks keep message order, so track the offset to map tickets back to recipients
+  const provider = getPushProvider();
+  const chunks = provider.chunkMessages(messages);
+  let offset = 0;
+
+  for (const chunk of chunks) {
+    const chunkRecipients = sendable.slice(offset, offset + chunk.length);
+    offset += chunk.length;
+
+    try {
+      const ticketChunk = await provider.sendMessages(chunk);
+      logger.debug('Sent notification chunk', { messages: chunk.length });
+
+      ticketChunk.forEach((ticket, index) => {
+        applyTicket(chunkRecipients[index], ticket);
+      });
+    } catch (error) {
+      logger.error('Error sending notification chunk', { messages: chunk.length, error });
+      chunkRecipients.forEach(result => {
+        result.status = 'failed';
+        result.error = error.message;
+        result.errorCode = 'SendFailed';
+      });
+    }
+  }
+}
+
+/**
+ * Finish a delivery: log to the database, store tickets and clean up dead tokens
+ * @param {object[]} results - Results whose outcome is final
+ * @param {object} payload - Notification payload (see dispatchNotification)
+ * @param {object} [options]
+ * @param {string} [options.jobId] - Queued job the results belong to; its users are logged once
+ * @returns {Promise<object>} - Counts plus a per-recipient `results` list
+ */
+async function completeDelivery(results, payload, { jobId = null } = {}) {
+  // Log notifications in database
+  await logNotifications(results, payload, jobId);
+
+  // Keep ticket IDs so delivery receipts can be checked later
+  await recordPushTickets(results.map(result => ({
+    ticket: result.ticket,
+    token: result.token,
+    userId: result.userId,
+    notificationId: result.notificationId
+  })));
+
+  // Drop tokens Expo says are no longer registered and track failing ones
+  await cleanUpTokens(results);
+
+  const summary = {
+    success: results.filter(result => result.status === 'sent').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    skipped: results.filter(result => result.status === 'skipped').length,
+    suppressed: results.filter(result => result.status === 'suppressed').length,
+    total: results.length,
+    results: results.map(({ ticket, content, data, ...result }) => result)
+  };
+
+  logger.info('Notification dispatched', {
+    type: payload.type,
+    success: summary.success,
+    failed: summary.failed,
+    skipped: summary.skipped,
+    suppressed: summary.suppressed
+  });
+  return summary;
+}
+
+/**
+ * Resolve recipients to push tokens and mark the ones that can't be sent to
+ * A recipient given only a userId fans out to every device the user has registered.
+ * Users whose preferences exclude this type right now are marked 'suppressed'.
+ * @param {object[]} recipients - { userId, token, locale, data } per recipient
+ * @param {string} type - Notification type, checked against user preferences
+ */
+async function resolveRecipients(recipients, type) {
+  const userIds = recipients
+    .filter(recipient => recipient.userId)
+    .map(recipient => recipient.userId);
+
+  const lookupIds = recipients
+    .filter(recipient => recipient.userId && !recipient.token)
+    .map(recipient => recipient.userId);
+
+  const preferences = await getPreferencesForUsers(userIds);
+  const storedTokens = await getUserPushTokens([...new Set(lookupIds)]);
+  const now = new Date();
+  const results = [];
+
+  for (const recipient of recipients) {
+    const userId = recipient.userId || null;
+    const userPreferences = userId ? preferences.get(userId) : null;
+    const base = {
+      userId,
+      token: recipient.token || null,
+      locale: recipient.locale || null,
+      timezone: userPreferences ? userPreferences.timezone : null,
+      data: recipient.data
+    };
+
+    const suppressionReason = userPreferences && getSuppressionReason(userPreferences, type, now);
+    if (suppressionReason) {
+      results.push({ ...base, status: 'suppressed', error: suppressionReason });
+      continue;
+    }
+
+    if (recipient.token) {
+      results.push(checkToken(base));
+      continue;
+    }
+
+    if (!userId) {
+      results.push({ ...base, status: 'skipped', error: 'No push token' });
+      continue;
+    }
+
+    if (!storedTokens.has(userId)) {
+      results.push({ ...base, status: 'skipped', error: 'User not found' });
+      continue;
+    }
+
+    const devices = storedTokens.get(userId);
+
+    if (devices.length === 0) {
+      // Users without a device can still be reached in the app
+      results.push(inAppChannel.isConnected(userId)
+        ? { ...base, status: 'pending' }
+        : { ...base, status: 'skipped', error: 'No push token' });
+      continue;
+    }
+
+    devices.forEach(device => results.push(checkToken({
+      ...base,
+      token: device.token,
+      locale: device.locale
+    })));
+  }
+
+  return results;
+}
+
+/**
+ * Mark a result pending, or skipped if its token isn't an Expo token
+ */
+function checkToken(result) {
+  if (!getPushProvider().isValidToken(result.token)) {
+    logger.warn('Skipping invalid push token', { userId: result.userId, token: result.token });
+    return { ...result, status: 'skipped', error: 'Invalid push token' };
+  }
+
+  return { ...result, status: 'pending' };
+}
+
+/**
+ * Deliver to users with the app open and mark their results sent when the app acknowledges
+ * Every device of an acknowledging user is covered, so none of them get the push.
+ */
+async function deliverInApp(results, payload) {
+  const resultsByUser = new Map();
+
+  results
+    .filter(result => result.status === 'pending' && result.userId && inAppChannel.isConnected(result.userId))
+    .forEach(result => {
+      const userResults = resultsByUser.get(result.userId) || [];
+      userResults.push(result);
+      resultsByUser.set(result.userId, userResults);
+    });
+
+  if (resultsByUser.size === 0) {
+    return;
+  }
+
+  const { title } = getMessageOptions(payload.type, payload.options);
+
+  await Promise.all([...resultsByUser].map(async ([userId, userResults]) => {
+    const content = renderContent(payload, {
+      ...userResults[0],
+      locale: inAppChannel.getConnectionLocale(userId) || userResults[0].locale
+    });
+
+    const acknowledged = await inAppChannel.deliver(userId, {
+      type: payload.type,
+      title: title || content.title,
+      body: content.body,
+      data: getData(payload, userResults[0])
+    });
+
+    if (acknowledged) {
+      userResults.forEach(result => {
+        result.status = 'sent';
+        result.channel = 'in_app';
+        result.content = content;
+      });
+    }
+  }));
+
+  const acknowledgedUsers = [...resultsByUser.values()].filter(userResults => userResults[0].channel === 'in_app').length;
+  logger.info('Delivered in-app', { acknowledgedUsers, connectedUsers: resultsByUser.size });
+}
+
+/**
+ * Unread inbox counts for the users being sent to
+ * @returns {Promise<Map<string, number>>} - Empty when the counts can't be loaded
+ */
+async function getBadgeCounts(results) {
+  const userIds = results.filter(result => result.userId).map(result => result.userId);
+
+  if (userIds.length === 0) {
+    return new Map();
+  }
+
+  try {
+    return await getUnreadCounts(userIds);
+  } catch (error) {
+    logger.error('Error loading unread counts for badges', { error });
+    return new Map();
+  }
+}
+
+/**
+ * Badge for one recipient: their unread notifications plus this one, which
+ * is logged after sending. Left unset when the count isn't known.
+ */
+function getBadge(unreadCounts, result) {
+  if (!result.userId || !unreadCounts.has(result.userId)) {
+    return undefined;
+  }
+  return unreadCounts.get(result.userId) + 1;
+}
+
+/**
+ * Render title and body in the recipient's language, falling back to the
+ * plain payload text if the template can't be rendered
+ */
+function renderContent(payload, result) {
+  try {
+    return renderNotification(payload, result);
+  } catch (error) {
+    logger.error('Error rendering notification', { type: payload.type, error });
+    return { title: payload.title, body: payload.body };
+  }
+}
+
+/**
+ * Data sent with a recipient's notification
+ */
+function getData(payload, result) {
+  return {
+    ...payload.data,
+    ...(payload.localizedData ? renderParams(payload.localizedData, result) : {}),
+    ...result.data,
+    notificationType: payload.type
+  };
+}
+
+/**
+ * Record an Expo ticket on its recipient result
+ */
+function applyTicket(result, ticket) {
+  result.ticket = ticket;
+
+  if (ticket.status === 'ok') {
+    result.status = 'sent';
+    return;
+  }
+
+  result.status = 'failed';
+  result.error = ticket.message;
+  result.errorCode = (ticket.details && ticket.details.error) || null;
+  logger.warn('Push notification failed', { userId: result.userId, token: result.token, errorCode: result.errorCode, error: result.error });
+}
+
+/**
+ * Log one notification per user in the database
+ * A user counts as sent when at least one of their devices accepted the push;
+ * suppressed users are logged too so it's clear why they got nothing. A queued
+ * job finishes over several batches, so its users are logged once per job and
+ * later batches only mark the row sent.
+ */
+async function logNotifications(results, payload, jobId = null) {
+  const resultsByUser = new Map();
+
+  results
+    .filter(result => result.userId && result.status !== 'skipped')
+    .forEach(result => {
+      const userResults = resultsByUser.get(result.userId) || [];
+      userResults.push(result);
+      resultsByUser.set(result.userId, userResults);
+    });
+
+  if (resultsByUser.size === 0) {
+    return;
+  }
+
+  try {
+    const userIds = [...resultsByUser.keys()];
+    const notificationRecords = userIds.map(userId => {
+      const userResults = resultsByUser.get(userId);
+      const sent = userResults.some(result => result.status === 'sent');
+      const suppressed = userResults.every(result => result.status === 'suppressed');
+      const content = userResults[0].content || renderContent(payload, userResults[0]);
+
+      if (suppressed) {
+        return {
+          job_id: jobId,
+          user_id: userId,
+          type: payload.type,
+          title: content.title,
+          message: content.body,
+          data: {
+            ...payload.data,
+            ...userResults[0].data,
+            ...payload.logData,
+            suppressed_reason: userResults[0].error,
+            suppressed_at: new Date().toISOString()
+          },
+          status: 'suppressed',
+          error_code: null
+        };
+      }
+
+      return {
+        job_id: jobId,
+        user_id: userId,
+        type: payload.type,
+        title: content.title,
+        message: content.body,
+        data: {
+          ...payload.data,
+          ...userResults[0].data,
+          ...payload.logData,
+          sent_at: new Date().toISOString()
+        },
+        status: sent ? 'sent' : 'failed',
+        error_code: sent ? null : userResults[0].errorCode || null
+      };
+    });
+
+    const logged = jobId ? await findJobNotifications(jobId, userIds, resultsByUser) : [];
+    const loggedUsers = new Set(logged.map(row => row.user_id));
+    const newRecords = notificationRecords.filter(record => !loggedUsers.has(record.user_id));
+
+    let inserted = [];
+    if (newRecords.length > 0) {
+      // Another worker may log the same job's user at once; its row wins
+      const query = jobId
+        ? supabase.from('notifications').upsert(newRecords, { onConflict: 'job_id,user_id', ignoreDuplicates: true })
+        : supabase.from('notifications').insert(newRecords);
+      const { data, error } = await query.select('id, user_id');
+
+      if (error) {
+        logger.error('Error logging notifications', { error });
+        return;
+      }
+      inserted = data || [];
+    }
+
+    [...logged, ...inserted].forEach(row => {
+      resultsByUser.get(row.user_id).forEach(result => {
+        result.notificationId = row.id;
+      });
+    });
+
+    logger.debug('Logged notifications in database', { count: inserted.length });
+  } catch (error) {
+    logger.error('Error in logNotifications', { error });
+  }
+}
+
+/**
+ * Rows a job already logged for these users; a row is marked sent once
+ * another of the user's devices got the push
+ */
+async function findJobNotifications(jobId, userIds, resultsByUser) {
+  const { data: logged, error } = await supabase
+    .from('notifications')
+    .select('id, user_id, status')
+    .eq('job_id', jobId)
+    .in('user_id', userIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch logged notifications: ${error.message}`);
+  }
+
+  const nowSent = (logged || [])
+    .filter(row => row.status !== 'sent')
+    .filter(row => resultsByUser.get(row.user_id).some(result => result.status === 'sent'))
+    .map(row => row.id);
+
+  if (nowSent.length > 0) {
+    const { error: updateError } = await supabase
+      .from('notifications')
+      .update({ status: 'sent', error_code: null })
+      .in('id', nowSent);
+
+    if (updateError) {
+      throw new Error(`Failed to update logged notifications: ${updateError.message}`);
+    }
+  }
+
+  return logged || [];
+}
+
+module.exports = {
+  dispatchNotification,
+  resolveRecipients,
+  sendMessages,
+  completeDelivery
+};
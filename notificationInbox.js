@@ -0,0 +1,205 @@
+// Notification Inbox
+// Reads back the notifications logged for a user so the app can show an
+// in-app inbox. Rows are written by the dispatcher (logNotifications);
+// deleting hides a row from the inbox but keeps it for delivery reporting.
+
+const { supabase } = require('./supabaseClient');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Keeps the unread count lookup small enough for one RPC call
+const COUNT_BATCH_SIZE = 500;
+
+/**
+ * List a user's inbox, newest first
+ * @param {string} userId - Inbox owner
+ * @param {object} [filters] - { type, unread, limit, offset }
+ * @returns {Promise<object>} - { notifications, total, limit, offset, hasMore }
+ */
+async function listInbox(userId, filters = {}) {
+  const limit = Math.min(filters.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = filters.offset || 0;
+
+  let query = supabase
+    .from('notifications')
+    .select('id, type, title, message, data, read_at, created_at', { count: 'exact' })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (filters.type) {
+    query = query.eq('type', filters.type);
+  }
+
+  if (filters.unread) {
+    query = query.is('read_at', null);
+  }
+
+  const { data, error, count } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch inbox: ${error.message}`);
+  }
+
+  return {
+    notifications: (data || []).map(fromRow),
+    total: count || 0,
+    limit,
+    offset,
+    hasMore: offset + (data || []).length < (count || 0)
+  };
+}
+
+/**
+ * Count a user's unread notifications
+ */
+async function getUnreadCount(userId) {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .is('read_at', null);
+
+  if (error) {
+    throw new Error(`Failed to count unread notifications: ${error.message}`);
+  }
+
+  return count || 0;
+}
+
+/**
+ * Count unread notifications for many users at once
+ * @param {string[]} userIds - Users to count for
+ * @returns {Promise<Map<string, number>>} - Map of user ID to unread count (0 when none)
+ */
+async function getUnreadCounts(userIds) {
+  const counts = new Map();
+  const uniqueIds = [...new Set(userIds)];
+
+  for (let i = 0; i < uniqueIds.length; i += COUNT_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .rpc('get_unread_counts', { user_ids: uniqueIds.slice(i, i + COUNT_BATCH_SIZE) });
+
+    if (error) {
+      throw new Error(`Failed to count unread notifications: ${error.message}`);
+    }
+
+    (data || []).forEach(row => {
+      counts.set(row.user_id, Number(row.unread));
+    });
+  }
+
+  uniqueIds.forEach(userId => {
+    if (!counts.has(userId)) {
+      counts.set(userId, 0);
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Mark one notification read
+ * @returns {Promise<object|null>} - The notification, or null if the user has no such notification
+ */
+async function markRead(userId, notificationId) {
+  // Only set read_at the first time so it keeps when the user first saw it
+  const { error } = await supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('id', notificationId)
+    .eq('user_id', userId)
+    .is('read_at', null);
+
+  if (error) {
+    throw new Error(`Failed to mark notification read: ${error.message}`);
+  }
+
+  const { data, error: fetchError } = await supabase
+    .from('notifications')
+    .select('id, type, title, message, data, read_at, created_at')
+    .eq('id', notificationId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch notification: ${fetchError.message}`);
+  }
+
+  return data ? fromRow(data) : null;
+}
+
+/**
+ * Mark all of a user's notifications read
+ * @param {string} userId - Inbox owner
+ * @param {object} [filters] - { type } to only mark one type read
+ * @returns {Promise<number>} - Number of notifications marked read
+ */
+async function markAllRead(userId, filters = {}) {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .is('read_at', null);
+
+  if (filters.type) {
+    query = query.eq('type', filters.type);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    throw new Error(`Failed to mark notifications read: ${error.message}`);
+  }
+
+  return (data || []).length;
+}
+
+/**
+ * Remove a notification from a user's inbox
+ * @returns {Promise<boolean>} - Whether a notification was removed
+ */
+async function deleteNotification(userId, notificationId) {
+  const { data, error } = await supabase
+    .from('notifications')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', notificationId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to delete notification: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    data: row.data || {},
+    read: Boolean(row.read_at),
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  listInbox,
+  getUnreadCount,
+  getUnreadCounts,
+  markRead,
+  markAllRead,
+  deleteNotification
+};
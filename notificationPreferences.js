@@ -0,0 +1,238 @@
+// Notification Preferences
+// Per-user opt-outs: global mute, per-category toggles, match reminder stages
+// and quiet hours in the user's timezone. Senders consult these before queuing a message.
+
+const { supabase } = require('./supabaseClient');
+const { getReminderStages } = require('./reminderStages');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./timezones');
+
+// Categories users can toggle. New notification types are enabled by default
+// until they are added here.
+const CATEGORIES = ['broadcast', 'game_invitation', 'invitation_response', 'match_reminder'];
+
+// Keeps `.in()` filters well under URL length limits for large broadcasts
+const LOOKUP_BATCH_SIZE = 200;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_PREFERENCES = {
+  muted: false,
+  categories: {},
+  quietHours: null,
+  timezone: DEFAULT_TIMEZONE,
+  reminderStages: null
+};
+
+/**
+ * Get a user's preferences, falling back to the defaults
+ */
+async function getPreferences(userId) {
+  const preferences = await getPreferencesForUsers([userId]);
+  return preferences.get(userId);
+}
+
+/**
+ * Get preferences for many users at once
+ * @param {string[]} userIds - User IDs to look up
+ * @returns {Promise<Map<string, object>>} - Map of user ID to preferences (defaults when unset)
+ */
+async function getPreferencesForUsers(userIds) {
+  const preferences = new Map();
+  const uniqueIds = [...new Set(userIds)];
+
+  for (let i = 0; i < uniqueIds.length; i += LOOKUP_BATCH_SIZE) {
+    const { data, error } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .in('user_id', uniqueIds.slice(i, i + LOOKUP_BATCH_SIZE));
+
+    if (error) {
+      throw new Error(`Failed to fetch notification preferences: ${error.message}`);
+    }
+
+    (data || []).forEach(row => {
+      preferences.set(row.user_id, fromRow(row));
+    });
+  }
+
+  uniqueIds.forEach(userId => {
+    if (!preferences.has(userId)) {
+      preferences.set(userId, { ...DEFAULT_PREFERENCES, categories: {} });
+    }
+  });
+
+  return preferences;
+}
+
+/**
+ * Update a user's preferences; omitted fields keep their current value
+ * @param {string} userId - User to update
+ * @param {object} changes - { muted, categories, quietHours, timezone, reminderStages }
+ * @returns {Promise<object>} - Updated preferences
+ */
+async function updatePreferences(userId, changes) {
+  const current = await getPreferences(userId);
+
+  const updated = {
+    muted: changes.muted !== undefined ? changes.muted : current.muted,
+    categories: { ...current.categories, ...changes.categories },
+    quietHours: changes.quietHours !== undefined ? changes.quietHours : current.quietHours,
+    timezone: changes.timezone || current.timezone,
+    reminderStages: changes.reminderStages !== undefined ? changes.reminderStages : current.reminderStages
+  };
+
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .upsert({
+      user_id: userId,
+      muted: updated.muted,
+      categories: updated.categories,
+      quiet_hours_start: updated.quietHours ? updated.quietHours.start : null,
+      quiet_hours_end: updated.quietHours ? updated.quietHours.end : null,
+      timezone: updated.timezone,
+      reminder_stages: updated.reminderStages,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update notification preferences: ${error.message}`);
+  }
+
+  return fromRow(data);
+}
+
+/**
+ * Validate a preferences update
+ * @returns {string[]} - Validation errors (empty when valid)
+ */
+function validatePreferences(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    return ['preferences must be an object'];
+  }
+
+  const errors = [];
+  const allowed = ['muted', 'categories', 'quietHours', 'timezone', 'reminderStages'];
+
+  Object.keys(changes).forEach(key => {
+    if (!allowed.includes(key)) {
+      errors.push(`${key} is not supported`);
+    }
+  });
+
+  if (changes.muted !== undefined && typeof changes.muted !== 'boolean') {
+    errors.push('muted must be a boolean');
+  }
+
+  if (changes.categories !== undefined) {
+    if (!changes.categories || typeof changes.categories !== 'object' || Array.isArray(changes.categories)) {
+      errors.push('categories must be an object');
+    } else {
+      Object.entries(changes.categories).forEach(([category, enabled]) => {
+        if (!CATEGORIES.includes(category)) {
+          errors.push(`categories.${category} is not a known category (${CATEGORIES.join(', ')})`);
+        } else if (typeof enabled !== 'boolean') {
+          errors.push(`categories.${category} must be a boolean`);
+        }
+      });
+    }
+  }
+
+  if (changes.quietHours !== undefined && changes.quietHours !== null) {
+    const { start, end } = changes.quietHours || {};
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+      errors.push('quietHours must be null or { start, end } in HH:MM format');
+    }
+  }
+
+  if (changes.timezone !== undefined && !isValidTimezone(changes.timezone)) {
+    errors.push('timezone must be an IANA timezone name (e.g. Africa/Cairo)');
+  }
+
+  if (changes.reminderStages !== undefined && changes.reminderStages !== null) {
+    const stageKeys = getReminderStages().map(stage => stage.key);
+    const valid = Array.isArray(changes.reminderStages) &&
+      changes.reminderStages.every(stage => stageKeys.includes(stage));
+
+    if (!valid) {
+      errors.push(`reminderStages must be null or a list of stages (${stageKeys.join(', ')})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Decide whether a notification type may be sent to a user right now
+ * @param {object} preferences - User preferences
+ * @param {string} type - Notification type
+ * @param {Date} [now] - Current time
+ * @returns {string|null} - Suppression reason, or null when the message may be sent
+ */
+function getSuppressionReason(preferences, type, now = new Date()) {
+  if (preferences.muted) {
+    return 'muted';
+  }
+
+  if (preferences.categories[type] === false) {
+    return 'category_disabled';
+  }
+
+  if (preferences.quietHours && isWithinQuietHours(preferences.quietHours, preferences.timezone, now)) {
+    return 'quiet_hours';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a user wants the match reminder for a given stage
+ */
+function wantsReminderStage(preferences, stageKey) {
+  return !preferences.reminderStages || preferences.reminderStages.includes(stageKey);
+}
+
+/**
+ * Check whether `now` falls inside quiet hours; windows may wrap past midnight
+ */
+function isWithinQuietHours(quietHours, timezone, now) {
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone || DEFAULT_TIMEZONE,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(now);
+
+  const { start, end } = quietHours;
+
+  if (start === end) {
+    return false;
+  }
+
+  return start < end
+    ? localTime >= start && localTime < end
+    : localTime >= start || localTime < end;
+}
+
+function fromRow(row) {
+  return {
+    muted: row.muted,
+    categories: row.categories || {},
+    quietHours: row.quiet_hours_start && row.quiet_hours_end
+      ? { start: row.quiet_hours_start, end: row.quiet_hours_end }
+      : null,
+    timezone: row.timezone || DEFAULT_TIMEZONE,
+    reminderStages: row.reminder_stages || null
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  getPreferences,
+  getPreferencesForUsers,
+  updatePreferences,
+  validatePreferences,
+  getSuppressionReason,
+  wantsReminderStage
+};
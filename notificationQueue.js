@@ -0,0 +1,494 @@
+// Notification Queue
+// Durable queue for outbound notifications, stored in Supabase. Sends are
+// enqueued as a job with one message row per recipient device; a worker sends
+// due messages, retries transient failures with exponential backoff and moves
+// messages that keep failing to a dead-letter state.
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { supabase } = require('./supabaseClient');
+const { resolveRecipients, sendMessages, completeDelivery } = require('./notificationDispatcher');
+const { createLogger, withLogContext, withTaskContext } = require('./logger');
+
+const logger = createLogger('notificationQueue');
+
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const BATCH_SIZE = 500;
+const INSERT_BATCH_SIZE = 1000;
+
+// Messages stuck in 'processing' this long (e.g. the worker crashed) are picked up again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Run the worker every 10 seconds
+// Cron pattern: '*/10 * * * * *' = every 10 seconds (with seconds field)
+const WORKER_SCHEDULE = '*/10 * * * * *';
+
+// Failures worth retrying; anything else (e.g. DeviceNotRegistered) is final
+const RETRYABLE_ERRORS = ['SendFailed', 'MessageRateExceeded'];
+
+const MESSAGE_STATUSES = ['pending', 'processing', 'sent', 'failed', 'skipped', 'suppressed', 'dead'];
+const UNSENT_STATUSES = ['failed', 'skipped', 'suppressed', 'dead'];
+
+// Keeps job reports small for large broadcasts; counts still cover every message
+const ERROR_REPORT_LIMIT = 100;
+
+let isProcessing = false;
+
+/**
+ * Enqueue a notification for delivery
+ * @param {object[]} recipients - { userId, token } per recipient (see dispatchNotification); per-recipient data isn't queued
+ * @param {object} payload - Notification payload (see dispatchNotification)
+ * @param {object} [options]
+ * @param {string} [options.idempotencyKey] - Enqueuing the same key twice returns the existing job (see findQueuedJob)
+ * @param {string} [options.createdBy] - User who requested the send
+ * @param {*} [options.request] - What the caller asked for, compared when the key is reused (defaults to the payload)
+ * @returns {Promise<object>} - { jobId, totalCount, duplicate }, or { conflict: true } when the key
+ *   was already used for a different request
+ */
+async function enqueueNotification(recipients, payload, options = {}) {
+  const { idempotencyKey = null, createdBy = null, request = payload } = options;
+  const requestHash = idempotencyKey ? hashRequest(request) : null;
+
+  if (idempotencyKey) {
+    const existing = await findQueuedJob(idempotencyKey, createdBy, request);
+    if (existing) {
+      logger.info('Job already queued for idempotency key', { idempotencyKey, jobId: existing.jobId, conflict: Boolean(existing.conflict) });
+      return existing;
+    }
+  }
+
+  // One message per device; a token listed twice is only sent once
+  const results = [];
+  const seenKeys = new Set();
+  (await resolveRecipients(recipients, payload.type)).forEach(result => {
+    const key = result.token || `user:${result.userId}`;
+    if (!seenKeys.has(key)) {
+      seenKeys.add(key);
+      results.push({ ...result, key });
+    }
+  });
+
+  const { data: job, error: jobError } = await supabase
+    .from('notification_jobs')
+    .insert({
+      idempotency_key: idempotencyKey ? scopeIdempotencyKey(idempotencyKey, createdBy) : null,
+      request_hash: requestHash,
+      type: payload.type,
+      payload,
+      created_by: createdBy,
+      total_count: results.length
+    })
+    .select('id')
+    .single();
+
+  if (jobError) {
+    // Lost a race with another request using the same key
+    if (idempotencyKey && jobError.code === '23505') {
+      return findQueuedJob(idempotencyKey, createdBy, request);
+    }
+    throw new Error(`Failed to create notification job: ${jobError.message}`);
+  }
+
+  const messageRows = results.map(result => ({
+    job_id: job.id,
+    idempotency_key: `${job.id}:${result.key}`,
+    user_id: result.userId,
+    push_token: result.token,
+    locale: result.locale,
+    timezone: result.timezone,
+    status: result.status,
+    last_error: result.error || null
+  }));
+
+  for (let i = 0; i < messageRows.length; i += INSERT_BATCH_SIZE) {
+    const { error } = await supabase
+      .from('notification_messages')
+      .upsert(messageRows.slice(i, i + INSERT_BATCH_SIZE), {
+        onConflict: 'idempotency_key',
+        ignoreDuplicates: true
+      });
+
+    if (error) {
+      throw new Error(`Failed to enqueue notification messages: ${error.message}`);
+    }
+  }
+
+  // Record users who opted out now; they never reach the worker
+  const suppressed = results.filter(result => result.status === 'suppressed');
+  if (suppressed.length > 0) {
+    await completeDelivery(suppressed, payload, { jobId: job.id });
+  }
+
+  logger.info('Queued notification job', { type: payload.type, jobId: job.id, messages: messageRows.length });
+
+  // Start sending right away instead of waiting for the next worker tick
+  setImmediate(() => {
+    processNotificationQueue().catch(error => {
+      logger.error('Error in queue processing', { error });
+    });
+  });
+
+  return { jobId: job.id, totalCount: messageRows.length, duplicate: false };
+}
+
+/**
+ * Send every message that is due, in batches
+ */
+async function processNotificationQueue() {
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
+
+  try {
+    let processed;
+    do {
+      processed = await processBatch();
+    } while (processed === BATCH_SIZE);
+  } finally {
+    isProcessing = false;
+  }
+}
+
+/**
+ * Claim and send one batch of due messages
+ * @returns {Promise<number>} - Number of messages claimed
+ */
+async function processBatch() {
+  const now = new Date();
+  const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MS).toISOString();
+
+  const { data: due, error: dueError } = await supabase
+    .from('notification_messages')
+    .select('id')
+    .or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.processing,locked_at.lt.${staleLock})`)
+    .order('next_attempt_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (dueError) {
+    logger.error('Error fetching queued messages', { error: dueError });
+    return 0;
+  }
+
+  if (!due || due.length === 0) {
+    return 0;
+  }
+
+  // Claim the batch so another worker (server or cron process) doesn't send it twice
+  const { data: claimed, error: claimError } = await supabase
+    .from('notification_messages')
+    .update({ status: 'processing', locked_at: now.toISOString(), updated_at: now.toISOString() })
+    .in('id', due.map(message => message.id))
+    .or(`status.eq.pending,and(status.eq.processing,locked_at.lt.${staleLock})`)
+    .select('id, job_id, user_id, push_token, locale, timezone, attempts');
+
+  if (claimError) {
+    logger.error('Error claiming queued messages', { error: claimError });
+    return 0;
+  }
+
+  const messagesByJob = new Map();
+  (claimed || []).forEach(message => {
+    const jobMessages = messagesByJob.get(message.job_id) || [];
+    jobMessages.push(message);
+    messagesByJob.set(message.job_id, jobMessages);
+  });
+
+  for (const [jobId, messages] of messagesByJob) {
+    await withLogContext({ jobId }, () => processJobMessages(jobId, messages));
+  }
+
+  return due.length;
+}
+
+/**
+ * Send a job's claimed messages and record their outcome
+ */
+async function processJobMessages(jobId, messages) {
+  const { data: job, error: jobError } = await supabase
+    .from('notification_jobs')
+    .select('id, payload')
+    .eq('id', jobId)
+    .single();
+
+  if (jobError || !job) {
+    logger.error('Notification job not found', { error: jobError });
+    await updateMessages(messages.map(message => message.id), {
+      status: 'dead',
+      last_error: 'Job not found'
+    });
+    return;
+  }
+
+  const results = messages.map(message => ({
+    messageId: message.id,
+    attempts: message.attempts + 1,
+    userId: message.user_id,
+    token: message.push_token,
+    locale: message.locale,
+    timezone: message.timezone,
+    status: 'pending'
+  }));
+
+  logger.info('Sending queued messages', { messages: results.length });
+  await sendMessages(results, job.payload);
+
+  const retrying = [];
+  const finished = [];
+
+  results.forEach(result => {
+    if (result.status === 'failed' && RETRYABLE_ERRORS.includes(result.errorCode)) {
+      if (result.attempts < MAX_ATTEMPTS) {
+        retrying.push(result);
+        return;
+      }
+      result.deadLettered = true;
+    }
+    finished.push(result);
+  });
+
+  // Retry transient failures later with exponential backoff
+  for (const result of retrying) {
+    const delay = BASE_RETRY_DELAY_MS * Math.pow(2, result.attempts - 1);
+    logger.info('Retrying message', { messageId: result.messageId, delaySeconds: Math.round(delay / 1000), attempt: result.attempts, maxAttempts: MAX_ATTEMPTS });
+
+    await updateMessages([result.messageId], {
+      status: 'pending',
+      attempts: result.attempts,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+      locked_at: null,
+      error_code: result.errorCode,
+      last_error: result.error
+    });
+  }
+
+  if (finished.length === 0) {
+    return;
+  }
+
+  await completeDelivery(finished, job.payload, { jobId });
+
+  // Group identical outcomes into one update each
+  const updates = new Map();
+  finished.forEach(result => {
+    const status = result.deadLettered ? 'dead' : result.status;
+    const key = `${status}|${result.attempts}|${result.errorCode || ''}|${result.error || ''}`;
+
+    if (!updates.has(key)) {
+      updates.set(key, {
+        ids: [],
+        fields: {
+          status,
+          attempts: result.attempts,
+          locked_at: null,
+          error_code: result.errorCode || null,
+          last_error: result.error || null
+        }
+      });
+    }
+    updates.get(key).ids.push(result.messageId);
+  });
+
+  for (const { ids, fields } of updates.values()) {
+    await updateMessages(ids, fields);
+  }
+
+  const deadCount = finished.filter(result => result.deadLettered).length;
+  if (deadCount > 0) {
+    logger.error('Messages moved to dead letter', { messages: deadCount, attempts: MAX_ATTEMPTS });
+  }
+}
+
+/**
+ * Get a job with its per-status message counts
+ * @returns {Promise<object|null>} - Job status, or null if the job doesn't exist
+ */
+async function getJobStatus(jobId) {
+  const { data: job, error } = await supabase
+    .from('notification_jobs')
+    .select('id, type, created_by, total_count, created_at')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch notification job: ${error.message}`);
+  }
+
+  if (!job) {
+    return null;
+  }
+
+  const counts = {};
+  for (const status of MESSAGE_STATUSES) {
+    const { count, error: countError } = await supabase
+      .from('notification_messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('job_id', jobId)
+      .eq('status', status);
+
+    if (countError) {
+      throw new Error(`Failed to count notification messages: ${countError.message}`);
+    }
+    counts[status] = count || 0;
+  }
+
+  const remaining = counts.pending + counts.processing;
+  const done = job.total_count - remaining;
+
+  return {
+    jobId: job.id,
+    type: job.type,
+    createdBy: job.created_by,
+    createdAt: job.created_at,
+    status: remaining > 0 ? (done > 0 ? 'processing' : 'queued') : 'completed',
+    total: job.total_count,
+    progress: job.total_count > 0 ? Math.round((done / job.total_count) * 100) : 100,
+    counts
+  };
+}
+
+/**
+ * Get a job's status together with the messages that didn't go out
+ * @param {string} jobId - Job to report on
+ * @param {number} [errorLimit] - Most unsent messages to list
+ * @returns {Promise<object|null>} - Job status (see getJobStatus) plus invalidCount and
+ *   unsent: [{ userId, token, status, errorCode, error }], or null if the job doesn't exist
+ */
+async function getJobReport(jobId, errorLimit = ERROR_REPORT_LIMIT) {
+  const job = await getJobStatus(jobId);
+
+  if (!job) {
+    return null;
+  }
+
+  // Malformed tokens are skipped before sending; counted apart from users without a device
+  const { count: invalidCount, error: invalidError } = await supabase
+    .from('notification_messages')
+    .select('id', { count: 'exact', head: true })
+    .eq('job_id', jobId)
+    .eq('status', 'skipped')
+    .eq('last_error', 'Invalid push token');
+
+  if (invalidError) {
+    throw new Error(`Failed to count invalid tokens: ${invalidError.message}`);
+  }
+
+  const { data: unsent, error } = await supabase
+    .from('notification_messages')
+    .select('user_id, push_token, status, error_code, last_error')
+    .eq('job_id', jobId)
+    .in('status', UNSENT_STATUSES)
+    .order('created_at', { ascending: true })
+    .limit(errorLimit);
+
+  if (error) {
+    throw new Error(`Failed to fetch unsent messages: ${error.message}`);
+  }
+
+  return {
+    ...job,
+    invalidCount: invalidCount || 0,
+    unsent: (unsent || []).map(message => ({
+      userId: message.user_id,
+      token: message.push_token,
+      status: message.status,
+      errorCode: message.error_code,
+      error: message.last_error
+    }))
+  };
+}
+
+/**
+ * Start the background worker that sends due and retried messages
+ * @returns {object} - The scheduled cron task
+ */
+function startQueueWorker() {
+  const task = cron.schedule(WORKER_SCHEDULE, () => {
+    withTaskContext('notification-queue', processNotificationQueue).catch(error => {
+      logger.error('Error in queue processing', { error });
+    });
+  }, {
+    timezone: "UTC"
+  });
+
+  logger.info('Notification queue worker started', { schedule: WORKER_SCHEDULE });
+  return task;
+}
+
+/**
+ * Find the job a caller already queued with an idempotency key
+ * Keys are scoped to the caller, so one caller's key never returns another's job.
+ * @param {string} idempotencyKey - Key sent by the caller
+ * @param {string|null} createdBy - User who requested the send
+ * @param {*} request - What the caller is asking for now (see enqueueNotification)
+ * @returns {Promise<object|null>} - { jobId, totalCount, duplicate: true, payload } for the same request,
+ *   { conflict: true } when the key was used for a different one, or null if it hasn't been used
+ */
+async function findQueuedJob(idempotencyKey, createdBy, request) {
+  const { data, error } = await supabase
+    .from('notification_jobs')
+    .select('id, total_count, payload, request_hash')
+    .eq('idempotency_key', scopeIdempotencyKey(idempotencyKey, createdBy))
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up notification job: ${error.message}`);
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  if (data.request_hash !== hashRequest(request)) {
+    return { conflict: true };
+  }
+
+  return { jobId: data.id, totalCount: data.total_count, duplicate: true, payload: data.payload };
+}
+
+// API keys and the server's own jobs (e.g. scheduled broadcasts) have no user and share one scope
+function scopeIdempotencyKey(idempotencyKey, createdBy) {
+  return `${createdBy || 'server'}:${idempotencyKey}`;
+}
+
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+// JSON with object keys sorted, so the same request always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+async function updateMessages(ids, fields) {
+  const { error } = await supabase
+    .from('notification_messages')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .in('id', ids);
+
+  if (error) {
+    logger.error('Error updating queued messages', { error });
+  }
+}
+
+module.exports = {
+  enqueueNotification,
+  findQueuedJob,
+  processNotificationQueue,
+  getJobStatus,
+  getJobReport,
+  startQueueWorker
+};
@@ -0,0 +1,298 @@
+// Notification Templates
+// Localized notification copy keyed by notification type and language.
+//
+// Template text uses {placeholders}. Param values can be:
+//   - strings and numbers, inserted as-is (numbers in the locale's digits)
+//   - { datetime: ISO string }, rendered in the recipient's locale and timezone
+//   - { duration: minutes }, rendered as a pluralized "2 hours" / "15 minutes"
+// Params stay JSON-safe so payloads can be stored in the notification queue.
+
+const { DEFAULT_TIMEZONE } = require('./timezones');
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Locale used for Intl formatting when the recipient's locale has no region
+const FORMAT_LOCALES = {
+  en: 'en-US',
+  ar: 'ar-EG'
+};
+
+const RTL_LANGUAGES = ['ar'];
+
+// Unicode first-strong isolate / pop directional isolate
+const ISOLATE_START = '\u2068';
+const ISOLATE_END = '\u2069';
+
+const TEMPLATES = {
+  game_invitation: {
+    en: {
+      title: 'HAGZ',
+      body: '{inviterName} invited you to join a match at {pitchName} on {matchTime}'
+    },
+    ar: {
+      title: 'HAGZ',
+      body: '{inviterName} دعاك للانضمام إلى مباراة في {pitchName} يوم {matchTime}'
+    }
+  },
+  // Invitations to a game whose pitch or date and time weren't given
+  game_invitation_no_time: {
+    en: { title: 'HAGZ', body: '{inviterName} invited you to join a match at {pitchName}' },
+    ar: { title: 'HAGZ', body: '{inviterName} دعاك للانضمام إلى مباراة في {pitchName}' }
+  },
+  game_invitation_no_pitch: {
+    en: { title: 'HAGZ', body: '{inviterName} invited you to join a match on {matchTime}' },
+    ar: { title: 'HAGZ', body: '{inviterName} دعاك للانضمام إلى مباراة يوم {matchTime}' }
+  },
+  game_invitation_no_pitch_no_time: {
+    en: { title: 'HAGZ', body: '{inviterName} invited you to join a match' },
+    ar: { title: 'HAGZ', body: '{inviterName} دعاك للانضمام إلى مباراة' }
+  },
+  match_reminder: {
+    en: {
+      title: 'HAGZ',
+      body: 'Your match at {pitchName} starts in {leadTime} ({matchTime}). Get ready!'
+    },
+    ar: {
+      title: 'HAGZ',
+      body: 'مباراتك في {pitchName} تبدأ بعد {leadTime} ({matchTime}). استعد!'
+    }
+  },
+  // Sent back to the inviter when the invitee responds
+  invitation_accepted: {
+    en: { title: 'HAGZ', body: '{inviteeName} accepted your invite to {pitchName}' },
+    ar: { title: 'HAGZ', body: '{inviteeName} قبل دعوتك إلى {pitchName}' }
+  },
+  invitation_declined: {
+    en: { title: 'HAGZ', body: '{inviteeName} declined your invite to {pitchName}' },
+    ar: { title: 'HAGZ', body: '{inviteeName} رفض دعوتك إلى {pitchName}' }
+  },
+  invitation_accepted_no_pitch: {
+    en: { title: 'HAGZ', body: '{inviteeName} accepted your match invite' },
+    ar: { title: 'HAGZ', body: '{inviteeName} قبل دعوتك للمباراة' }
+  },
+  invitation_declined_no_pitch: {
+    en: { title: 'HAGZ', body: '{inviteeName} declined your match invite' },
+    ar: { title: 'HAGZ', body: '{inviteeName} رفض دعوتك للمباراة' }
+  }
+};
+
+// Plural forms per unit and language, keyed by Intl.PluralRules category
+const UNITS = {
+  hour: {
+    en: { one: '{count} hour', other: '{count} hours' },
+    ar: {
+      one: 'ساعة واحدة',
+      two: 'ساعتين',
+      few: '{count} ساعات',
+      many: '{count} ساعة',
+      other: '{count} ساعة'
+    }
+  },
+  minute: {
+    en: { one: '{count} minute', other: '{count} minutes' },
+    ar: {
+      one: 'دقيقة واحدة',
+      two: 'دقيقتين',
+      few: '{count} دقائق',
+      many: '{count} دقيقة',
+      other: '{count} دقيقة'
+    }
+  }
+};
+
+/**
+ * Render a notification's title and body for one recipient
+ * Uses payload.template when set, then payload.localizations, then the plain payload text.
+ * @param {object} payload - Notification payload (see dispatchNotification)
+ * @param {object} recipient - { locale, timezone }
+ * @returns {object} - { title, body }
+ */
+function renderNotification(payload, recipient = {}) {
+  const language = getLanguage(recipient.locale);
+
+  if (payload.template) {
+    return renderTemplate(payload.template.key, payload.template.params, recipient);
+  }
+
+  if (payload.localizations) {
+    const localized = payload.localizations[language];
+    if (localized) {
+      return {
+        title: localized.title || payload.title,
+        body: localized.body || payload.body
+      };
+    }
+  }
+
+  return { title: payload.title, body: payload.body };
+}
+
+/**
+ * Render a registered template
+ * Falls back to English when the recipient's language has no translation
+ * @param {string} key - Template key (notification type)
+ * @param {object} params - Placeholder values
+ * @param {object} recipient - { locale, timezone }
+ * @returns {object} - { title, body }
+ */
+function renderTemplate(key, params = {}, recipient = {}) {
+  const translations = TEMPLATES[key];
+  if (!translations) {
+    throw new Error(`Unknown notification template: ${key}`);
+  }
+
+  let language = getLanguage(recipient.locale);
+  let locale = recipient.locale;
+  if (!translations[language]) {
+    language = DEFAULT_LANGUAGE;
+    locale = null;
+  }
+
+  const context = {
+    language,
+    locale: getFormatLocale(locale, language),
+    timezone: recipient.timezone || DEFAULT_TIMEZONE
+  };
+
+  const template = translations[language];
+  return {
+    title: interpolate(template.title, params, context),
+    body: interpolate(template.body, params, context)
+  };
+}
+
+/**
+ * Format a count of a unit with the language's plural rules, e.g. '2 hours'
+ */
+function pluralize(unit, count, locale) {
+  let language = getLanguage(locale);
+  if (!UNITS[unit][language]) {
+    language = DEFAULT_LANGUAGE;
+    locale = null;
+  }
+
+  const formatLocale = getFormatLocale(locale, language);
+  const forms = UNITS[unit][language];
+  const form = forms[new Intl.PluralRules(formatLocale).select(count)] || forms.other;
+
+  return form.replace('{count}', formatNumber(count, formatLocale));
+}
+
+/**
+ * Format a lead time in minutes, using hours when it divides evenly
+ */
+function formatDuration(minutes, locale) {
+  return minutes % 60 === 0
+    ? pluralize('hour', minutes / 60, locale)
+    : pluralize('minute', minutes, locale);
+}
+
+/**
+ * Format an instant in the given locale and timezone
+ */
+function formatDateTime(value, locale, timezone = DEFAULT_TIMEZONE) {
+  const language = getLanguage(locale);
+  return new Date(value).toLocaleString(getFormatLocale(locale, language), {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone
+  });
+}
+
+/**
+ * Render param values on their own, e.g. for push data the app shows as-is
+ * Falls back to English as renderTemplate does, so the values match the text around them
+ * @param {object} params - Values as in template params
+ * @param {object} recipient - { locale, timezone }
+ * @returns {object} - Each param as a string in the recipient's locale and timezone
+ */
+function renderParams(params, recipient = {}) {
+  let language = getLanguage(recipient.locale);
+  let locale = recipient.locale;
+  if (!FORMAT_LOCALES[language]) {
+    language = DEFAULT_LANGUAGE;
+    locale = null;
+  }
+
+  const context = {
+    language,
+    locale: getFormatLocale(locale, language),
+    timezone: recipient.timezone || DEFAULT_TIMEZONE
+  };
+
+  return Object.fromEntries(
+    Object.entries(params).map(([name, value]) => [name, formatParam(value, context)])
+  );
+}
+
+function interpolate(text, params, context) {
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) {
+      return placeholder;
+    }
+
+    const value = formatParam(params[name], context);
+
+    // Keep names and numbers from reordering the surrounding right-to-left text
+    return RTL_LANGUAGES.includes(context.language)
+      ? `${ISOLATE_START}${value}${ISOLATE_END}`
+      : value;
+  });
+}
+
+function formatParam(value, context) {
+  if (value && typeof value === 'object') {
+    if (value.datetime) {
+      return formatDateTime(value.datetime, context.locale, context.timezone);
+    }
+    if (value.duration !== undefined) {
+      return formatDuration(value.duration, context.locale);
+    }
+  }
+
+  if (typeof value === 'number') {
+    return formatNumber(value, context.locale);
+  }
+
+  return String(value);
+}
+
+function formatNumber(value, locale) {
+  return new Intl.NumberFormat(locale).format(value);
+}
+
+/**
+ * 'ar-EG' -> 'ar'; defaults to English
+ */
+function getLanguage(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return DEFAULT_LANGUAGE;
+  }
+  return locale.split(/[-_]/)[0].toLowerCase();
+}
+
+function getFormatLocale(locale, language) {
+  if (locale && /[-_]/.test(locale)) {
+    const normalized = locale.replace('_', '-');
+    try {
+      return Intl.getCanonicalLocales(normalized)[0];
+    } catch (error) {
+      // Fall through to the language default
+    }
+  }
+  return FORMAT_LOCALES[language] || FORMAT_LOCALES[DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+  TEMPLATES,
+  renderNotification,
+  renderTemplate,
+  renderParams,
+  pluralize,
+  formatDuration,
+  formatDateTime,
+  getLanguage
+};
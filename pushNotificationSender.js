@@ -1,109 +1,138 @@
 // server/pushNotificationSender.js
 // This is a Node.js script to send push notifications using Expo Push Service
-// Install: npm install expo-server-sdk-node
+// (or the provider selected by PUSH_PROVIDER; see pushProviders.js)
 
-const { Expo } = require('expo-server-sdk');
+const { getPushProvider } = require('./pushProviders');
+const { recordPushTickets } = require('./pushReceipts');
+const { DEAD_TOKEN_ERRORS, cleanUpTokens } = require('./pushTokens');
+const { getMessageOptions, buildPushMessage } = require('./messageOptions');
+const { createLogger } = require('./logger');
 
-// Create a new Expo SDK client
-const expo = new Expo();
+const logger = createLogger('pushNotificationSender');
 
 /**
  * Send push notifications to multiple users
- * @param {string[]} tokens - Array of Expo push tokens
+ * @param {Array<string|object>} tokens - Expo push tokens, or { token, userId } per recipient
  * @param {string} title - Notification title
  * @param {string} body - Notification body
  * @param {object} data - Additional data to send with notification
- * @returns {Promise<object>} - Result with success/failure counts
+ * @param {object} options - Message options (subtitle, sound, badge, channelId, ...; see messageOptions.js)
+ * @returns {Promise<object>} - Result with success/failure counts and a per-recipient `results` list in input order
  */
-async function sendPushNotifications(tokens, title, body, data = {}) {
-  console.log(`📤 Sending push notifications to ${tokens.length} devices...`);
-  console.log('🔍 Debug - Token validation:', tokens.map(token => ({
-    token: token.substring(0, 20) + '...',
-    isValid: Expo.isExpoPushToken(token),
-    length: token.length
-  })));
-
-  // Create the messages that you want to send to clients
-  const messages = [];
-  
-  for (const pushToken of tokens) {
+async function sendPushNotifications(tokens, title, body, data = {}, options = {}) {
+  logger.info('Sending push notifications', { devices: tokens.length });
+
+  const provider = getPushProvider();
+
+  // One result per recipient; messages and tickets are matched back to these
+  const results = tokens.map(recipient => {
+    const { token, userId = null } = typeof recipient === 'object' && recipient !== null
+      ? recipient
+      : { token: recipient };
+
     // Check that all your push tokens appear to be valid Expo push tokens
-    if (!Expo.isExpoPushToken(pushToken)) {
-      console.error(`❌ Push token ${pushToken} is not a valid Expo push token`);
-      continue;
+    if (!provider.isValidToken(token)) {
+      logger.warn('Skipping invalid push token', { userId, token });
+      return { userId, token, status: 'skipped', error: 'Invalid push token' };
     }
 
-    // Construct a message
-    messages.push({
-      to: pushToken,
-      sound: 'notification_sound.wav',
-      title: 'HAGZ',
-      body: body,
-      data: data,
-      priority: 'high',
-    });
-  }
+    return { userId, token, status: 'pending' };
+  });
+
+  const sendable = results.filter(result => result.status === 'pending');
 
-  // The Expo push notification service accepts batches of notifications
-  const chunks = expo.chunkPushNotifications(messages);
+  // Construct a message per valid token
+  const messages = sendable.map(result =>
+    buildPushMessage(result.token, body, data, { ...options, title: title || options.title })
+  );
+
+  // The Expo push notification service accepts batches of notifications.
+  // Chunks keep message order, so track the offset to map tickets back to recipients
+  const chunks = provider.chunkMessages(messages);
   const tickets = [];
+  let offset = 0;
   
   // Send the chunks to the Expo push notification service
   for (const chunk of chunks) {
+    const chunkResults = sendable.slice(offset, offset + chunk.length);
+    offset += chunk.length;
+
     try {
-      console.log('📤 Sending chunk with messages:', chunk.map(m => ({
-        to: m.to.substring(0, 20) + '...',
-        title: m.title,
-        body: m.body?.substring(0, 50) + '...'
-      })));
-      
-      const ticketChunk = await expo.sendPushNotificationsAsync(chunk);
-      console.log('📨 Sent chunk response:', ticketChunk);
+      logger.debug('Sending chunk', { messages: chunk.length, tokens: chunk.map(m => m.to) });
+
+      const ticketChunk = await provider.sendMessages(chunk);
+      logger.debug('Chunk sent', { tickets: ticketChunk.map(ticket => ticket.status) });
       tickets.push(...ticketChunk);
+      ticketChunk.forEach((ticket, index) => {
+        applyTicket(chunkResults[index], ticket);
+      });
     } catch (error) {
-      console.error('❌ Error sending chunk:', error);
-      console.error('❌ Chunk details:', chunk);
+      logger.error('Error sending chunk', { messages: chunk.length, error });
+      chunkResults.forEach(result => {
+        result.status = 'failed';
+        result.error = error.message;
+        result.errorCode = 'SendFailed';
+      });
     }
   }
 
-  // Count results
-  let successCount = 0;
-  let failureCount = 0;
-  const invalidTokens = [];
-
-  tickets.forEach((ticket, index) => {
-    if (ticket.status === 'ok') {
-      successCount++;
-      console.log(`✅ Successfully sent to ${tokens[index].substring(0, 20)}...`);
-    } else {
-      failureCount++;
-      console.error(`❌ Failed to send notification to ${tokens[index]}:`, ticket);
-      
-      // Collect invalid tokens for cleanup
-      if (ticket.details && ticket.details.error === 'DeviceNotRegistered') {
-        invalidTokens.push(tokens[index]);
-        console.log(`🧹 Marking token as invalid: ${tokens[index].substring(0, 20)}...`);
-      }
-    }
-  });
+  // Tokens Expo says are no longer registered (removed below)
+  const invalidTokens = results
+    .filter(result => DEAD_TOKEN_ERRORS.includes(result.errorCode))
+    .map(result => result.token);
+
+  const successCount = results.filter(result => result.status === 'sent').length;
+  const failureCount = results.filter(result => result.status === 'failed').length;
+  const skippedCount = results.filter(result => result.status === 'skipped').length;
+
+  logger.info('Push notifications sent', { success: successCount, failed: failureCount, skipped: skippedCount });
+
+  // Keep ticket IDs so delivery receipts can be checked later
+  await recordPushTickets(results.filter(result => result.ticket));
 
-  console.log(`✅ Results: ${successCount} success, ${failureCount} failed`);
+  // Drop dead tokens and track failing ones
+  await cleanUpTokens(results);
   
   return {
     success: successCount,
     failed: failureCount,
+    skipped: skippedCount,
     total: tokens.length,
     invalidTokens,
-    tickets
+    tickets,
+    results: results.map(({ ticket, ...result }) => result)
   };
 }
 
+/**
+ * Record an Expo ticket on its recipient result
+ */
+function applyTicket(result, ticket) {
+  result.ticket = ticket;
+
+  if (ticket.status === 'ok') {
+    result.status = 'sent';
+    return;
+  }
+
+  result.status = 'failed';
+  result.error = ticket.message;
+  result.errorCode = (ticket.details && ticket.details.error) || null;
+  logger.warn('Push notification failed', {
+    userId: result.userId,
+    token: result.token,
+    errorCode: result.errorCode,
+    error: result.error,
+    deadToken: DEAD_TOKEN_ERRORS.includes(result.errorCode)
+  });
+}
+
 /**
  * Test function to send a notification to a single token
  * Usage: node pushNotificationSender.js test "ExponentPushToken[YOUR_TOKEN_HERE]"
  */
 async function testSingleNotification(token) {
-  console.log('🧪 Testing single notification...');
+  logger.info('Testing single notification');
   
   const result = await sendPushNotifications(
     [token],
@@ -116,7 +145,7 @@ async function testSingleNotification(token) {
     }
   );
   
-  console.log('🧪 Test result:', result);
+  logger.info('Test notification result', { success: result.success, failed: result.failed, skipped: result.skipped });
   return result;
 }
 
@@ -124,8 +153,8 @@ async function testSingleNotification(token) {
  * Send broadcast notification to all users (admin function)
  * This would typically be called from your API endpoint
  */
-async function sendBroadcastNotification(title, message, userTokens, data = {}) {
-  console.log('📢 Sending broadcast notification...');
+async function sendBroadcastNotification(title, message, userTokens, data = {}, options = {}) {
+  logger.info('Sending broadcast notification');
   
   const result = await sendPushNotifications(
     userTokens,
@@ -135,7 +164,8 @@ async function sendBroadcastNotification(title, message, userTokens, data = {})
       ...data,
       type: 'broadcast',
       screen: 'More'
-    }
+    },
+    getMessageOptions('broadcast', options)
   );
   
   return result;
@@ -166,7 +196,7 @@ Examples:
     testSingleNotification(args[1])
       .then(() => process.exit(0))
       .catch(error => {
-        console.error('❌ Test failed:', error);
+        logger.error('Test failed', { error });
         process.exit(1);
       });
   } else if (command === 'broadcast' && args[1] && args[2] && args[3]) {
@@ -176,11 +206,11 @@ Examples:
     
     sendBroadcastNotification(title, message, tokens)
       .then((result) => {
-        console.log('📢 Broadcast result:', result);
+        logger.info('Broadcast result', { success: result.success, failed: result.failed, skipped: result.skipped });
         process.exit(0);
       })
       .catch(error => {
-        console.error('❌ Broadcast failed:', error);
+        logger.error('Broadcast failed', { error });
         process.exit(1);
       });
   } else {
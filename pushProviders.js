@@ -0,0 +1,76 @@
+// Push Providers
+// Everything that talks to a push service goes through the provider chosen
+// by PUSH_PROVIDER, so the server and cron can run offline against the mock
+// (see mockPushProvider.js) in tests and local dev runs.
+//
+// A provider implements:
+//   name                       - 'expo' or 'mock'
+//   isValidToken(token)        - Whether the token can be sent to
+//   chunkMessages(messages)    - Split messages into batches the service accepts
+//   sendMessages(messages)     - Send one batch; resolves to one ticket per message, in order
+//   chunkReceiptIds(ids)       - Split ticket IDs into batches for getReceipts
+//   getReceipts(ids)           - Resolves to { [ticketId]: receipt } for the receipts that are ready
+// Tickets and receipts use Expo's shapes: { status: 'ok', id } or
+// { status: 'error', message, details: { error } }.
+
+const { Expo } = require('expo-server-sdk');
+const { SETTINGS, getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('pushProviders');
+
+const PROVIDERS = SETTINGS.pushProvider.values;
+
+let activeProvider = null;
+
+/**
+ * Push provider backed by the Expo push service
+ * @returns {object} - Provider (see above)
+ */
+function createExpoProvider() {
+  const expo = new Expo();
+
+  return {
+    name: 'expo',
+    isValidToken: token => Expo.isExpoPushToken(token),
+    chunkMessages: messages => expo.chunkPushNotifications(messages),
+    sendMessages: messages => expo.sendPushNotificationsAsync(messages),
+    chunkReceiptIds: ids => expo.chunkPushNotificationReceiptIds(ids),
+    getReceipts: ids => expo.getPushNotificationReceiptsAsync(ids)
+  };
+}
+
+/**
+ * Get the provider selected by PUSH_PROVIDER (default 'expo')
+ * Created on first use so tests can swap it with setPushProvider beforehand.
+ * @returns {object} - Provider (see above)
+ */
+function getPushProvider() {
+  if (!activeProvider) {
+    if (getConfig().pushProvider === 'mock') {
+      // Required here so production never loads the mock
+      const { createMockPushProvider } = require('./mockPushProvider');
+      activeProvider = createMockPushProvider();
+      logger.info('Using the mock push provider; nothing is sent to devices');
+    } else {
+      activeProvider = createExpoProvider();
+    }
+  }
+
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. with a configured mock in tests)
+ * @param {object|null} provider - Provider, or null to select from PUSH_PROVIDER again
+ */
+function setPushProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  PROVIDERS,
+  createExpoProvider,
+  getPushProvider,
+  setPushProvider
+};
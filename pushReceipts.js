@@ -0,0 +1,214 @@
+// Push Receipt Tracking
+// Stores Expo push ticket IDs and polls Expo for receipts to find out whether
+// Apple/Google actually delivered each notification
+
+const { getPushProvider } = require('./pushProviders');
+const { supabase } = require('./supabaseClient');
+const { DEAD_TOKEN_ERRORS, cleanUpTokens } = require('./pushTokens');
+const { checkConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('pushReceipts');
+
+// Expo recommends waiting ~15 minutes before fetching receipts, and only keeps
+// them for 24 hours
+const RECEIPT_DELAY_MS = 15 * 60 * 1000;
+const RECEIPT_EXPIRY_MS = 24 * 60 * 60 * 1000;
+const MAX_TICKETS_PER_RUN = 1000;
+
+// Receipt errors that mean the stored token should no longer be used
+const TOKEN_CLEANUP_ERRORS = [...DEAD_TOKEN_ERRORS, 'MessageTooBig', 'InvalidCredentials'];
+
+/**
+ * Store accepted push tickets so their receipts can be polled later
+ * @param {object[]} entries - { ticket, token, userId, notificationId } per sent message
+ */
+async function recordPushTickets(entries) {
+  const rows = entries
+    .filter(entry => entry.ticket && entry.ticket.status === 'ok' && entry.ticket.id)
+    .map(entry => ({
+      ticket_id: entry.ticket.id,
+      push_token: entry.token,
+      user_id: entry.userId || null,
+      notification_id: entry.notificationId || null,
+      status: 'pending'
+    }));
+
+  // Tracking is skipped when running without Supabase (e.g. the CLI test sender)
+  if (!supabase || rows.length === 0) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('push_tickets')
+      .insert(rows);
+
+    if (error) {
+      logger.error('Error recording push tickets', { error });
+    } else {
+      logger.info('Recorded push tickets for receipt polling', { tickets: rows.length });
+    }
+  } catch (error) {
+    logger.error('Error in recordPushTickets', { error });
+  }
+}
+
+/**
+ * Fetch receipts for pending tickets and update delivery status
+ */
+async function processPushReceipts() {
+  if (!supabase) {
+    return;
+  }
+
+  logger.info('Starting push receipt check');
+
+  try {
+    const readyBefore = new Date(Date.now() - RECEIPT_DELAY_MS).toISOString();
+
+    const { data: pendingTickets, error: ticketsError } = await supabase
+      .from('push_tickets')
+      .select('id, ticket_id, notification_id, user_id, push_token, created_at')
+      .eq('status', 'pending')
+      .lte('created_at', readyBefore)
+      .order('created_at', { ascending: true })
+      .limit(MAX_TICKETS_PER_RUN);
+
+    if (ticketsError) {
+      logger.error('Error fetching pending tickets', { error: ticketsError });
+      return;
+    }
+
+    if (!pendingTickets || pendingTickets.length === 0) {
+      logger.info('No push tickets waiting for receipts');
+      return;
+    }
+
+    logger.info('Checking receipts', { tickets: pendingTickets.length });
+
+    const ticketsById = new Map(pendingTickets.map(ticket => [ticket.ticket_id, ticket]));
+    const provider = getPushProvider();
+    const chunks = provider.chunkReceiptIds([...ticketsById.keys()]);
+    const outcomes = [];
+
+    for (const chunk of chunks) {
+      let receipts;
+      try {
+        receipts = await provider.getReceipts(chunk);
+      } catch (error) {
+        logger.error('Error fetching receipt chunk', { tickets: chunk.length, error });
+        continue;
+      }
+
+      for (const receiptId of chunk) {
+        const ticket = ticketsById.get(receiptId);
+        const receipt = receipts[receiptId];
+
+        if (receipt) {
+          outcomes.push(await applyReceipt(ticket, receipt));
+        } else if (Date.now() - new Date(ticket.created_at).getTime() > RECEIPT_EXPIRY_MS) {
+          // Expo no longer has a receipt for this ticket
+          await updateTicketStatus(ticket, 'expired');
+        }
+      }
+    }
+
+    // Drop tokens that can't be used any more and track failing ones, in one go for the run
+    await cleanUpTokens(outcomes, { removeOn: TOKEN_CLEANUP_ERRORS });
+
+    logger.info('Push receipt check completed');
+
+  } catch (error) {
+    logger.error('Error in processPushReceipts', { error });
+  }
+}
+
+/**
+ * Apply a single Expo receipt to its ticket and notification
+ * @returns {Promise<object>} - { userId, token, status, errorCode } for token cleanup
+ */
+async function applyReceipt(ticket, receipt) {
+  const outcome = { userId: ticket.user_id, token: ticket.push_token };
+
+  if (receipt.status === 'ok') {
+    await updateTicketStatus(ticket, 'delivered');
+    await updateNotificationStatus(ticket.notification_id, 'delivered');
+    return { ...outcome, status: 'sent' };
+  }
+
+  const errorCode = (receipt.details && receipt.details.error) || 'Unknown';
+  logger.warn('Receipt error', { ticketId: ticket.ticket_id, errorCode, error: receipt.message });
+
+  await updateTicketStatus(ticket, 'failed', errorCode, receipt.message);
+  await updateNotificationStatus(ticket.notification_id, 'failed', errorCode);
+
+  return { ...outcome, status: 'failed', errorCode };
+}
+
+/**
+ * Update a push ticket's status
+ */
+async function updateTicketStatus(ticket, status, errorCode = null, errorMessage = null) {
+  try {
+    const { error } = await supabase
+      .from('push_tickets')
+      .update({
+        status,
+        error_code: errorCode,
+        error_message: errorMessage,
+        checked_at: new Date().toISOString()
+      })
+      .eq('id', ticket.id);
+
+    if (error) {
+      logger.error('Error updating push ticket', { error });
+    }
+  } catch (error) {
+    logger.error('Error in updateTicketStatus', { error });
+  }
+}
+
+/**
+ * Move a notification row from 'sent' to its delivery outcome
+ * A notification fanned out to several devices is delivered once any of them is,
+ * so a later 'delivered' receipt overrides an earlier failure but not vice versa
+ */
+async function updateNotificationStatus(notificationId, status, errorCode = null) {
+  if (!notificationId) {
+    return;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('notifications')
+      .update({ status, error_code: errorCode })
+      .eq('id', notificationId)
+      .in('status', status === 'delivered' ? ['sent', 'failed'] : ['sent']);
+
+    if (error) {
+      logger.error('Error updating notification status', { error });
+    }
+  } catch (error) {
+    logger.error('Error in updateNotificationStatus', { error });
+  }
+}
+
+// Export functions
+module.exports = {
+  recordPushTickets,
+  processPushReceipts
+};
+
+// If running directly, check receipts once
+if (require.main === module) {
+  checkConfig(['database']);
+  logger.info('Push Receipt Check started');
+  processPushReceipts().then(() => {
+    logger.info('Process completed');
+    process.exit(0);
+  }).catch(error => {
+    logger.error('Process failed', { error });
+    process.exit(1);
+  });
+}
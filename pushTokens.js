@@ -0,0 +1,316 @@
+// Push Token Registry
+// Tracks every device a user is signed in on (device_tokens) and cleans up
+// dead tokens. user_profiles.push_token is still read for app versions that
+// don't register devices yet.
+
+const { supabase, fetchAllRows } = require('./supabaseClient');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('pushTokens');
+
+const PLATFORMS = ['ios', 'android'];
+
+// Send and receipt errors that mean the device is gone: its token is removed straight away
+// (receipts remove tokens on a few more errors, see pushReceipts.js)
+const DEAD_TOKEN_ERRORS = ['DeviceNotRegistered'];
+
+// Errors caused by the message, our credentials or the connection rather than the
+// device; they don't count towards a token's failures
+const NON_DEVICE_ERRORS = ['MessageTooBig', 'MessageRateExceeded', 'InvalidCredentials', 'SendFailed'];
+
+// Tokens go in the query string of .in() filters, so bulk updates are split up
+const TOKEN_BATCH_SIZE = 200;
+
+/**
+ * Register (or refresh) a device for a user
+ * A token that moves to another account is reassigned to the new user
+ * @param {string} userId - Owner of the device
+ * @param {object} device - { pushToken, platform, appVersion, locale }
+ * @returns {Promise<object>} - Stored device row
+ */
+async function registerDevice(userId, device) {
+  const { data, error } = await supabase
+    .from('device_tokens')
+    .upsert({
+      user_id: userId,
+      push_token: device.pushToken,
+      platform: device.platform || null,
+      app_version: device.appVersion || null,
+      locale: device.locale || null,
+      last_seen_at: new Date().toISOString(),
+      // A device that registers again is alive, whatever failed before
+      failure_count: 0
+    }, { onConflict: 'push_token' })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to register device: ${error.message}`);
+  }
+
+  // A legacy copy of this token on another profile would keep it fanned out to that user
+  await supabase
+    .from('user_profiles')
+    .update({ push_token: null })
+    .eq('push_token', device.pushToken)
+    .neq('id', userId);
+
+  logger.info('Registered device', { userId, platform: device.platform || 'unknown' });
+  return data;
+}
+
+/**
+ * Unregister a user's device (e.g. on sign out)
+ * @returns {Promise<boolean>} - Whether a device was removed
+ */
+async function unregisterDevice(userId, pushToken) {
+  const { data, error } = await supabase
+    .from('device_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('push_token', pushToken)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to unregister device: ${error.message}`);
+  }
+
+  // Drop the legacy copy too so the fallback doesn't resurrect it
+  const { data: legacy, error: legacyError } = await supabase
+    .from('user_profiles')
+    .update({ push_token: null })
+    .eq('id', userId)
+    .eq('push_token', pushToken)
+    .select('id');
+
+  if (legacyError) {
+    throw new Error(`Failed to unregister device: ${legacyError.message}`);
+  }
+
+  return (data || []).length > 0 || (legacy || []).length > 0;
+}
+
+/**
+ * Get every registered device for a list of users
+ * @param {string[]} userIds - User IDs to look up
+ * @returns {Promise<Map<string, object[]>>} - Map of user ID to { token, locale } per device (unknown users are absent)
+ */
+async function getUserPushTokens(userIds) {
+  const tokens = new Map();
+
+  if (userIds.length === 0) {
+    return tokens;
+  }
+
+  const { data: users, error: usersError } = await supabase
+    .from('user_profiles')
+    .select('id, push_token')
+    .in('id', userIds);
+
+  if (usersError) {
+    throw new Error(`Failed to fetch users: ${usersError.message}`);
+  }
+
+  const { data: devices, error: devicesError } = await supabase
+    .from('device_tokens')
+    .select('user_id, push_token, locale')
+    .in('user_id', userIds);
+
+  if (devicesError) {
+    throw new Error(`Failed to fetch device tokens: ${devicesError.message}`);
+  }
+
+  (users || []).forEach(user => {
+    tokens.set(user.id, []);
+  });
+
+  (devices || []).forEach(device => {
+    addToken(tokens, device.user_id, device.push_token, device.locale);
+  });
+
+  (users || []).forEach(user => {
+    addToken(tokens, user.id, user.push_token, null);
+  });
+
+  return tokens;
+}
+
+/**
+ * Get every registered device token across all users
+ * @returns {Promise<object[]>} - { userId, token, locale } per device
+ */
+async function getAllPushTokens() {
+  const devices = await fetchAllRows('device_tokens', 'user_id, push_token, locale');
+  const legacyUsers = await fetchAllRows('user_profiles', 'id, push_token', query => query.not('push_token', 'is', null));
+
+  const seen = new Set();
+  const recipients = [];
+
+  const add = (userId, token, locale) => {
+    if (token && !seen.has(token)) {
+      seen.add(token);
+      recipients.push({ userId, token, locale });
+    }
+  };
+
+  devices.forEach(device => add(device.user_id, device.push_token, device.locale));
+  legacyUsers.forEach(user => add(user.id, user.push_token, null));
+
+  return recipients;
+}
+
+/**
+ * Remove a dead push token
+ * Only the one device is dropped; the user's other devices keep receiving pushes.
+ * Raw-token sends have no user, so the token alone identifies the device.
+ */
+async function removeInvalidToken(userId, pushToken) {
+  if (!supabase) {
+    return;
+  }
+
+  try {
+    const { error: deviceError } = await supabase
+      .from('device_tokens')
+      .delete()
+      .eq('push_token', pushToken);
+
+    if (deviceError) {
+      logger.error('Error removing invalid device token', { userId, token: pushToken, error: deviceError });
+    }
+
+    let query = supabase
+      .from('user_profiles')
+      .update({ push_token: null })
+      .eq('push_token', pushToken);
+
+    if (userId) {
+      query = query.eq('id', userId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+      logger.error('Error removing invalid token', { userId, token: pushToken, error });
+    } else {
+      logger.info('Removed invalid token', { userId, token: pushToken });
+    }
+  } catch (error) {
+    logger.error('Error in removeInvalidToken', { error });
+  }
+}
+
+/**
+ * Remove several push tokens at once, from every device and profile holding them
+ * @param {string[]} pushTokens - Tokens to remove
+ * @returns {Promise<number>} - Number of device rows removed
+ */
+async function removeTokens(pushTokens) {
+  let removed = 0;
+
+  for (let i = 0; i < pushTokens.length; i += TOKEN_BATCH_SIZE) {
+    const batch = pushTokens.slice(i, i + TOKEN_BATCH_SIZE);
+
+    const { data, error } = await supabase
+      .from('device_tokens')
+      .delete()
+      .in('push_token', batch)
+      .select('id');
+
+    if (error) {
+      throw new Error(`Failed to remove tokens: ${error.message}`);
+    }
+
+    const { error: legacyError } = await supabase
+      .from('user_profiles')
+      .update({ push_token: null })
+      .in('push_token', batch);
+
+    if (legacyError) {
+      throw new Error(`Failed to remove tokens: ${legacyError.message}`);
+    }
+
+    removed += (data || []).length;
+  }
+
+  return removed;
+}
+
+/**
+ * Act on the outcome of a send or receipt for each token
+ * Dead tokens are removed, other device failures are counted for the hygiene job
+ * (see tokenHygiene.js) and a successful send clears the count.
+ * @param {object[]} results - { userId, token, status, errorCode } per message
+ * @param {object} [options] - { removeOn } error codes whose tokens are removed (defaults to DEAD_TOKEN_ERRORS)
+ */
+async function cleanUpTokens(results, { removeOn = DEAD_TOKEN_ERRORS } = {}) {
+  // Tracking is skipped when running without Supabase (e.g. the CLI test sender)
+  if (!supabase) {
+    return;
+  }
+
+  const pushResults = results.filter(result => result.token);
+  const dead = pushResults.filter(result => removeOn.includes(result.errorCode));
+  const failing = unique(pushResults
+    .filter(result => result.status === 'failed' && result.errorCode)
+    .filter(result => !removeOn.includes(result.errorCode) && !NON_DEVICE_ERRORS.includes(result.errorCode))
+    .map(result => result.token));
+  const healthy = unique(pushResults
+    .filter(result => result.status === 'sent')
+    .map(result => result.token));
+
+  for (const result of dead) {
+    await removeInvalidToken(result.userId, result.token);
+  }
+
+  try {
+    if (failing.length > 0) {
+      const { error } = await supabase.rpc('record_token_failures', { tokens: failing });
+
+      if (error) {
+        logger.error('Error recording token failures', { tokens: failing.length, error });
+      }
+    }
+
+    for (let i = 0; i < healthy.length; i += TOKEN_BATCH_SIZE) {
+      const { error } = await supabase
+        .from('device_tokens')
+        .update({ failure_count: 0 })
+        .in('push_token', healthy.slice(i, i + TOKEN_BATCH_SIZE))
+        .gt('failure_count', 0);
+
+      if (error) {
+        logger.error('Error resetting token failures', { error });
+      }
+    }
+  } catch (error) {
+    logger.error('Error in cleanUpTokens', { error });
+  }
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function addToken(tokens, userId, token, locale) {
+  if (!token) {
+    return;
+  }
+  const userDevices = tokens.get(userId) || [];
+  if (!userDevices.some(device => device.token === token)) {
+    userDevices.push({ token, locale: locale || null });
+  }
+  tokens.set(userId, userDevices);
+}
+
+module.exports = {
+  PLATFORMS,
+  DEAD_TOKEN_ERRORS,
+  registerDevice,
+  unregisterDevice,
+  getUserPushTokens,
+  getAllPushTokens,
+  removeInvalidToken,
+  removeTokens,
+  cleanUpTokens
+};
@@ -0,0 +1,174 @@
+// Recurrence
+// Cron-style recurrence rules for scheduled sends, evaluated in a timezone.
+// Rules use the standard five fields: minute hour day-of-month month day-of-week,
+// each a '*', a number, a range (1-5), a list (1,15) or a step (*/15, 8-20/2).
+
+const { DEFAULT_TIMEZONE, zonedTimeToDate } = require('./timezones');
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+// A rule that can match (e.g. '0 0 29 2 *') runs at least once in this many days
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a recurrence rule
+ * @param {string} expression - Five-field cron expression, e.g. '0 18 * * 4'
+ * @returns {object} - Allowed values per field
+ * @throws {Error} - If the expression is malformed
+ */
+function parseRecurrence(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('recurrence must be a string');
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('recurrence must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const rule = {};
+  FIELDS.forEach((field, index) => {
+    rule[field.name] = parseField(parts[index], field);
+    rule[`${field.name}Restricted`] = parts[index] !== '*';
+  });
+
+  // Treat 7 as Sunday
+  if (rule.dayOfWeek.has(7)) {
+    rule.dayOfWeek.add(0);
+  }
+
+  return rule;
+}
+
+/**
+ * Check a recurrence rule without throwing
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateRecurrence(expression) {
+  try {
+    parseRecurrence(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Next time a recurrence rule fires after a given instant
+ * @param {string} expression - Five-field cron expression
+ * @param {string} [timezone] - IANA timezone the rule is written in
+ * @param {Date} [after] - Find the first run strictly after this instant
+ * @returns {Date|null} - Next run, or null if the rule never matches
+ */
+function getNextRun(expression, timezone = DEFAULT_TIMEZONE, after = new Date()) {
+  const rule = parseRecurrence(expression);
+  const hours = [...rule.hour].sort((a, b) => a - b);
+  const minutes = [...rule.minute].sort((a, b) => a - b);
+
+  // Start from the local calendar day of `after`, one day early so a DST
+  // change around midnight can't skip a run
+  const start = getLocalDate(after, timezone);
+  let day = Date.UTC(start.year, start.month - 1, start.day) - DAY_MS;
+
+  for (let i = 0; i < MAX_SEARCH_DAYS; i++, day += DAY_MS) {
+    const date = new Date(day);
+    if (!matchesDay(rule, date)) {
+      continue;
+    }
+
+    const localDate = date.toISOString().slice(0, 10);
+
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const time = `${pad(hour)}:${pad(minute)}`;
+        const run = zonedTimeToDate(localDate, time, timezone);
+
+        if (run > after) {
+          return run;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+function parseField(value, field) {
+  const allowed = new Set();
+
+  value.split(',').forEach(part => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}" in recurrence`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+
+    if (match[1] !== '*') {
+      from = parseInt(match[2], 10);
+      // A bare number with a step (5/15) runs from that number to the end
+      to = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : from);
+    }
+
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+
+    if (from < field.min || to > field.max || from > to || step < 1) {
+      throw new Error(`${field.name} "${part}" is out of range (${field.min}-${field.max})`);
+    }
+
+    for (let n = from; n <= to; n += step) {
+      allowed.add(n);
+    }
+  });
+
+  return allowed;
+}
+
+function matchesDay(rule, date) {
+  if (!rule.month.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+
+  const dayOfMonth = rule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = rule.dayOfWeek.has(date.getUTCDay());
+
+  // As in cron: when both day fields are restricted, either may match
+  if (rule.dayOfMonthRestricted && rule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+
+  return dayOfMonth && dayOfWeek;
+}
+
+function getLocalDate(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date).forEach(part => {
+    parts[part.type] = Number(part.value);
+  });
+
+  return parts;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+module.exports = {
+  parseRecurrence,
+  validateRecurrence,
+  getNextRun
+};
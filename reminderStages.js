@@ -0,0 +1,89 @@
+// Match Reminder Stages
+// Reminder offsets before kick-off, configured with MATCH_REMINDER_STAGES as a
+// comma-separated list of durations (e.g. "24h,2h,15m")
+
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('reminderStages');
+
+const STAGE_PATTERN = /^(\d+)(h|m)$/;
+
+/**
+ * Parse a stage such as '2h' or '15m'
+ * @returns {object|null} - { key, minutes }, or null if malformed
+ */
+function parseStage(value) {
+  const match = STAGE_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseInt(match[1], 10);
+  const minutes = match[2] === 'h' ? amount * 60 : amount;
+
+  if (minutes <= 0) {
+    return null;
+  }
+
+  return {
+    key: `${amount}${match[2]}`,
+    minutes
+  };
+}
+
+/**
+ * Get the configured reminder stages, longest lead time first
+ */
+function getReminderStages() {
+  const configured = getConfig().matchReminderStages;
+  const stages = [];
+
+  configured.split(',').forEach(value => {
+    const stage = parseStage(value);
+    if (!stage) {
+      logger.warn('Ignoring invalid reminder stage', { value });
+      return;
+    }
+    if (!stages.some(existing => existing.minutes === stage.minutes)) {
+      stages.push(stage);
+    }
+  });
+
+  return stages.sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Pick the stage to send for a match, given which stages already ran
+ * When several stages are due at once (e.g. a match booked an hour before
+ * kick-off), only the closest one is sent and the others are passed over.
+ * @param {object[]} stages - Stages from getReminderStages
+ * @param {number} minutesUntilStart - Minutes until the match starts
+ * @param {Set<string>} completedKeys - Stage keys already recorded for the match
+ * @returns {object} - { stage, skipped } where stage may be null
+ */
+function getDueStage(stages, minutesUntilStart, completedKeys) {
+  if (minutesUntilStart <= 0) {
+    return { stage: null, skipped: [] };
+  }
+
+  const due = stages.filter(stage =>
+    stage.minutes >= minutesUntilStart && !completedKeys.has(stage.key)
+  );
+
+  if (due.length === 0) {
+    return { stage: null, skipped: [] };
+  }
+
+  // Stages are sorted longest first, so the last one is the closest to kick-off
+  return {
+    stage: due[due.length - 1],
+    skipped: due.slice(0, -1)
+  };
+}
+
+module.exports = {
+  parseStage,
+  getReminderStages,
+  getDueStage
+};
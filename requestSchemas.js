@@ -0,0 +1,130 @@
+// Request Schemas
+// Declarative schemas for the send routes' request bodies. Each field lists
+// its type and whether it is required (always, or `requiredWith` another
+// field); `validate` runs the module validators (message options, segments,
+// ...) that already check nested values.
+// Errors come back as { field, message } so clients can point at the input.
+
+const { validateMessageOptions } = require('./messageOptions');
+const { isValidTimezone } = require('./timezones');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string' && value.trim().length > 0,
+  boolean: value => typeof value === 'boolean',
+  object: value => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a non-empty string',
+  boolean: 'must be a boolean',
+  object: 'must be an object'
+};
+
+const messageFields = {
+  title: { type: 'string', required: true },
+  message: { type: 'string', required: true },
+  data: { type: 'object' },
+  options: { type: 'object', validate: options => validateMessageOptions(options) }
+};
+
+const SCHEMAS = {
+  broadcast: {
+    ...messageFields,
+    // Older clients send sound at the top level; options.sound wins
+    sound: { validate: sound => typeof sound === 'boolean' || TYPE_CHECKS.string(sound) ? [] : ['sound must be a boolean or a sound file name'] },
+    localizations: { type: 'object' },
+    segment: { type: 'object' },
+    segmentName: { type: 'string' },
+    dryRun: { type: 'boolean' }
+  },
+  gameInvitation: {
+    ...messageFields,
+    // Optional: invitations use the localized game_invitation copy unless an admin or service replaces it
+    title: { type: 'string' },
+    message: { type: 'string' },
+    targetUserId: { type: 'string', required: true },
+    targetUserToken: { type: 'string' },
+    inviterUserId: { type: 'string' },
+    // Also accepted as data.gameId; the route checks one of them is set
+    gameId: { type: 'string' },
+    pitchName: { type: 'string' },
+    gameDate: { type: 'string', pattern: DATE_PATTERN, patternMessage: 'must be a date (YYYY-MM-DD)', requiredWith: 'gameTime' },
+    gameTime: { type: 'string', pattern: TIME_PATTERN, patternMessage: 'must be a time (HH:MM)', requiredWith: 'gameDate' },
+    pitchTimezone: { type: 'string', validate: timezone => isValidTimezone(timezone) ? [] : ['pitchTimezone must be an IANA timezone name'] }
+  },
+  userNotification: {
+    ...messageFields,
+    userId: { type: 'string', required: true }
+  },
+  testNotification: {
+    token: { type: 'string', required: true },
+    message: { type: 'string' },
+    options: messageFields.options
+  }
+};
+
+/**
+ * Validate a request body against a schema
+ * @param {object} schema - One of SCHEMAS
+ * @param {object} body - Request body
+ * @returns {object[]} - { field, message } per problem (empty when valid)
+ */
+function validateBody(schema, body) {
+  if (!TYPE_CHECKS.object(body)) {
+    return [{ field: null, message: 'Request body must be a JSON object' }];
+  }
+
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const value = body[field];
+
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        errors.push({ field, message: 'is required' });
+      } else if (spec.requiredWith && !isMissing(body[spec.requiredWith])) {
+        errors.push({ field, message: `is required with ${spec.requiredWith}` });
+      }
+      continue;
+    }
+
+    if (spec.type && !TYPE_CHECKS[spec.type](value)) {
+      errors.push({ field, message: TYPE_MESSAGES[spec.type] });
+      continue;
+    }
+
+    if (spec.pattern && !spec.pattern.test(value)) {
+      errors.push({ field, message: spec.patternMessage });
+      continue;
+    }
+
+    if (spec.validate) {
+      errors.push(...spec.validate(value).map(toDetail));
+    }
+  }
+
+  return errors;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Turn a validator message such as 'options.badge must be ...' into { field, message }
+ */
+function toDetail(error) {
+  const separator = error.indexOf(' ');
+  return separator === -1
+    ? { field: null, message: error }
+    : { field: error.slice(0, separator), message: error.slice(separator + 1) };
+}
+
+module.exports = {
+  SCHEMAS,
+  validateBody,
+  toDetail
+};
@@ -0,0 +1,376 @@
+// Scheduled Broadcasts
+// Broadcasts queued for later: once at a given time (sendAt) or repeatedly on a
+// cron-style recurrence. Stored in Supabase and picked up by the cron process,
+// which queues each run through the normal broadcast path.
+
+const { supabase } = require('./supabaseClient');
+const { parseBroadcast, sendBroadcast } = require('./broadcasts');
+const { getNextRun, validateRecurrence } = require('./recurrence');
+const { DEFAULT_TIMEZONE, isValidTimezone, zonedTimeToDate } = require('./timezones');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('scheduledBroadcasts');
+
+const STATUSES = ['scheduled', 'completed', 'cancelled', 'failed'];
+
+const BATCH_SIZE = 50;
+const LIST_LIMIT = 200;
+
+// 'YYYY-MM-DDTHH:MM[:SS]' without an offset is local to the broadcast's timezone
+const LOCAL_DATETIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2}(?::\d{2})?)$/;
+
+/**
+ * Validate a new scheduled broadcast, or an existing one merged with changes
+ * @param {object} body - Broadcast fields (see parseBroadcast) plus sendAt or recurrence, and timezone
+ * @param {object} [current] - Existing scheduled broadcast when editing
+ * @returns {object} - { fields } ready to store, otherwise { error, details }
+ */
+function validateScheduledBroadcast(body, current = null) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'Request body must be an object' };
+  }
+
+  const request = current ? mergeChanges(current, body) : body;
+  const { sendAt, recurrence, timezone = DEFAULT_TIMEZONE } = request;
+
+  const { broadcast, error, details } = parseBroadcast(request);
+  if (error) {
+    return { error, details };
+  }
+
+  if (!isValidTimezone(timezone)) {
+    return { error: 'timezone must be an IANA timezone name (e.g. Africa/Cairo)' };
+  }
+
+  if (Boolean(sendAt) === Boolean(recurrence)) {
+    return { error: 'Exactly one of sendAt or recurrence is required' };
+  }
+
+  let nextRunAt;
+
+  if (sendAt) {
+    nextRunAt = parseSendAt(sendAt, timezone);
+    if (!nextRunAt) {
+      return { error: 'sendAt must be an ISO 8601 date-time' };
+    }
+    if (nextRunAt <= new Date()) {
+      return { error: 'sendAt must be in the future' };
+    }
+  } else {
+    const recurrenceError = validateRecurrence(recurrence);
+    if (recurrenceError) {
+      return { error: 'Invalid recurrence', details: [recurrenceError] };
+    }
+    nextRunAt = getNextRun(recurrence, timezone);
+    if (!nextRunAt) {
+      return { error: 'recurrence never matches a date' };
+    }
+  }
+
+  return {
+    fields: {
+      title: broadcast.title,
+      message: broadcast.message,
+      data: broadcast.data,
+      options: broadcast.options,
+      localizations: request.localizations || {},
+      segment: broadcast.segment,
+      segment_name: broadcast.segmentName,
+      send_at: sendAt ? nextRunAt.toISOString() : null,
+      recurrence: recurrence ? recurrence.trim() : null,
+      timezone,
+      next_run_at: nextRunAt.toISOString()
+    }
+  };
+}
+
+/**
+ * Store a validated scheduled broadcast
+ * @param {object} fields - From validateScheduledBroadcast
+ * @param {string} [createdBy] - User who scheduled it
+ * @returns {Promise<object>} - The scheduled broadcast
+ */
+async function createScheduledBroadcast(fields, createdBy = null) {
+  const { data, error } = await supabase
+    .from('scheduled_broadcasts')
+    .insert({ ...fields, created_by: createdBy })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create scheduled broadcast: ${error.message}`);
+  }
+
+  logger.info('Scheduled broadcast', { scheduledBroadcastId: data.id, nextRunAt: data.next_run_at });
+  return fromRow(data);
+}
+
+/**
+ * List scheduled broadcasts, soonest first
+ * @param {object} [filters] - { status }
+ */
+async function listScheduledBroadcasts(filters = {}) {
+  let query = supabase
+    .from('scheduled_broadcasts')
+    .select('*')
+    .order('next_run_at', { ascending: true, nullsFirst: false })
+    .order('created_at', { ascending: false })
+    .limit(LIST_LIMIT);
+
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to list scheduled broadcasts: ${error.message}`);
+  }
+
+  return (data || []).map(fromRow);
+}
+
+/**
+ * Get one scheduled broadcast
+ * @returns {Promise<object|null>} - The scheduled broadcast, or null if it doesn't exist
+ */
+async function getScheduledBroadcast(id) {
+  const { data, error } = await supabase
+    .from('scheduled_broadcasts')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch scheduled broadcast: ${error.message}`);
+  }
+
+  return data ? fromRow(data) : null;
+}
+
+/**
+ * Replace a scheduled broadcast's content and schedule
+ * Only broadcasts that are still scheduled can be changed.
+ * @param {string} id - Scheduled broadcast ID
+ * @param {object} fields - From validateScheduledBroadcast
+ * @returns {Promise<object|null>} - The updated broadcast, or null if it is no longer scheduled
+ */
+async function updateScheduledBroadcast(id, fields) {
+  const { data, error } = await supabase
+    .from('scheduled_broadcasts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to update scheduled broadcast: ${error.message}`);
+  }
+
+  return data ? fromRow(data) : null;
+}
+
+/**
+ * Cancel a scheduled broadcast so it never runs again
+ * @returns {Promise<object|null>} - The cancelled broadcast, or null if it is no longer scheduled
+ */
+async function cancelScheduledBroadcast(id) {
+  const { data, error } = await supabase
+    .from('scheduled_broadcasts')
+    .update({ status: 'cancelled', next_run_at: null, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('status', 'scheduled')
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to cancel scheduled broadcast: ${error.message}`);
+  }
+
+  if (data) {
+    logger.info('Cancelled scheduled broadcast', { scheduledBroadcastId: id });
+  }
+
+  return data ? fromRow(data) : null;
+}
+
+/**
+ * Queue every scheduled broadcast that is due
+ * Runs missed while the cron process was down are sent once, not once per missed run.
+ */
+async function processScheduledBroadcasts() {
+  const now = new Date();
+
+  const { data: due, error } = await supabase
+    .from('scheduled_broadcasts')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    logger.error('Error fetching due scheduled broadcasts', { error });
+    return;
+  }
+
+  if (!due || due.length === 0) {
+    return;
+  }
+
+  logger.info('Running scheduled broadcasts', { count: due.length });
+
+  for (const row of due) {
+    await runScheduledBroadcast(row, now);
+  }
+}
+
+async function runScheduledBroadcast(row, now) {
+  const nextRunAt = row.recurrence ? getNextRun(row.recurrence, row.timezone, now) : null;
+
+  // Move the schedule on before sending; if another process or an edit got
+  // there first, nothing is updated and this run is left to them
+  const { data: claimed, error: claimError } = await supabase
+    .from('scheduled_broadcasts')
+    .update({
+      status: nextRunAt ? 'scheduled' : 'completed',
+      next_run_at: nextRunAt ? nextRunAt.toISOString() : null,
+      last_run_at: now.toISOString(),
+      run_count: row.run_count + 1,
+      updated_at: now.toISOString()
+    })
+    .eq('id', row.id)
+    .eq('status', 'scheduled')
+    .eq('next_run_at', row.next_run_at)
+    .select('id');
+
+  if (claimError) {
+    logger.error('Error claiming scheduled broadcast', { scheduledBroadcastId: row.id, error: claimError });
+    return;
+  }
+
+  if (!claimed || claimed.length === 0) {
+    return;
+  }
+
+  try {
+    const { broadcast, error } = parseBroadcast(fromRow(row));
+    if (error) {
+      throw new Error(error);
+    }
+
+    // The idempotency key ties the job to this run, so a retried run isn't sent twice
+    const job = await sendBroadcast(broadcast, {
+      idempotencyKey: `scheduled_broadcast:${row.id}:${new Date(row.next_run_at).toISOString()}`,
+      createdBy: row.created_by
+    });
+
+    if (!job) {
+      throw new Error('No users with push tokens found');
+    }
+
+    logger.info('Scheduled broadcast queued', { scheduledBroadcastId: row.id, jobId: job.jobId });
+    await recordRun(row.id, { last_job_id: job.jobId, last_error: null });
+
+  } catch (error) {
+    logger.error('Scheduled broadcast failed', { scheduledBroadcastId: row.id, error });
+
+    const fields = { last_error: error.message };
+    if (!row.recurrence) {
+      fields.status = 'failed';
+    }
+    await recordRun(row.id, fields);
+  }
+}
+
+async function recordRun(id, fields) {
+  const { error } = await supabase
+    .from('scheduled_broadcasts')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) {
+    logger.error('Error recording run of scheduled broadcast', { scheduledBroadcastId: id, error });
+  }
+}
+
+// Apply an edit to an existing broadcast. Setting sendAt turns a recurring
+// broadcast into a one-off and vice versa.
+function mergeChanges(current, changes) {
+  const merged = {
+    title: current.title,
+    message: current.message,
+    data: current.data,
+    options: current.options,
+    localizations: current.localizations,
+    segment: current.segment,
+    segmentName: current.segmentName,
+    sendAt: current.sendAt,
+    recurrence: current.recurrence,
+    timezone: current.timezone,
+    ...changes
+  };
+
+  if (changes.sendAt) {
+    merged.recurrence = null;
+  } else if (changes.recurrence) {
+    merged.sendAt = null;
+  }
+
+  // Same for the audience: a new segment replaces a saved one and vice versa
+  if (changes.segment) {
+    merged.segmentName = null;
+  } else if (changes.segmentName) {
+    merged.segment = null;
+  }
+
+  return merged;
+}
+
+function parseSendAt(value, timezone) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const local = LOCAL_DATETIME_PATTERN.exec(value);
+  const date = local ? zonedTimeToDate(local[1], local[2], timezone) : new Date(value);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    message: row.message,
+    data: row.data,
+    options: row.options,
+    localizations: row.localizations,
+    segment: row.segment,
+    segmentName: row.segment_name,
+    sendAt: row.send_at,
+    recurrence: row.recurrence,
+    timezone: row.timezone,
+    status: row.status,
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    lastJobId: row.last_job_id,
+    lastError: row.last_error,
+    runCount: row.run_count,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  STATUSES,
+  validateScheduledBroadcast,
+  createScheduledBroadcast,
+  listScheduledBroadcasts,
+  getScheduledBroadcast,
+  updateScheduledBroadcast,
+  cancelScheduledBroadcast,
+  processScheduledBroadcasts
+};
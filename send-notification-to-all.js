@@ -4,11 +4,33 @@
 
 const https = require('https');
 const http = require('http');
+const { getConfig, checkConfig } = require('./config');
 
-// Configuration
-const SERVER_URL = 'https://hagz-push-server-production.up.railway.app'; // Replace with your actual Railway URL
 const API_ENDPOINT = '/send-broadcast-notification';
 
+/**
+ * Build a URL on the server named by HAGZ_SERVER_URL (the local server in dev)
+ */
+function serverUrl(path) {
+  return new URL(getConfig(['server']).serverUrl + path);
+}
+
+/**
+ * Build authentication headers from the configured credentials:
+ * an API key (admin key for broadcasts) or a Supabase access token
+ */
+function getAuthHeaders() {
+  const { cliApiKey, cliAccessToken } = getConfig();
+
+  if (cliApiKey) {
+    return { 'x-api-key': cliApiKey };
+  }
+  if (cliAccessToken) {
+    return { 'Authorization': `Bearer ${cliAccessToken}` };
+  }
+  return {};
+}
+
 /**
  * Send notification to all users
  */
@@ -21,7 +43,7 @@ async function sendNotificationToAll(title, message, data = {}) {
       sound: true
     });
 
-    const url = new URL(SERVER_URL + API_ENDPOINT);
+    const url = serverUrl(API_ENDPOINT);
     const options = {
       hostname: url.hostname,
       port: url.port || (url.protocol === 'https:' ? 443 : 80),
@@ -29,7 +51,8 @@ async function sendNotificationToAll(title, message, data = {}) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
+        'Content-Length': Buffer.byteLength(postData),
+        ...getAuthHeaders()
       }
     };
 
@@ -43,6 +66,11 @@ async function sendNotificationToAll(title, message, data = {}) {
       });
       
       res.on('end', () => {
+        if (res.statusCode === 401 || res.statusCode === 403) {
+          reject(new Error(`Not authorized (${res.statusCode}) - set HAGZ_API_KEY or HAGZ_ACCESS_TOKEN`));
+          return;
+        }
+
         try {
           const result = JSON.parse(responseData);
           resolve(result);
@@ -66,7 +94,7 @@ async function sendNotificationToAll(title, message, data = {}) {
  */
 async function testServerHealth() {
   return new Promise((resolve, reject) => {
-    const url = new URL(SERVER_URL + '/health');
+    const url = serverUrl('/health');
     const options = {
       hostname: url.hostname,
       port: url.port || (url.protocol === 'https:' ? 443 : 80),
@@ -111,7 +139,7 @@ async function testSpecificToken(token, message = 'Test notification from script
       message: message
     });
 
-    const url = new URL(SERVER_URL + '/test-token');
+    const url = serverUrl('/test-token');
     const options = {
       hostname: url.hostname,
       port: url.port || (url.protocol === 'https:' ? 443 : 80),
@@ -119,7 +147,8 @@ async function testSpecificToken(token, message = 'Test notification from script
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(postData)
+        'Content-Length': Buffer.byteLength(postData),
+        ...getAuthHeaders()
       }
     };
 
@@ -133,6 +162,11 @@ async function testSpecificToken(token, message = 'Test notification from script
       });
       
       res.on('end', () => {
+        if (res.statusCode === 401 || res.statusCode === 403) {
+          reject(new Error(`Not authorized (${res.statusCode}) - set HAGZ_API_KEY or HAGZ_ACCESS_TOKEN`));
+          return;
+        }
+
         try {
           const result = JSON.parse(responseData);
           resolve(result);
@@ -151,6 +185,90 @@ async function testSpecificToken(token, message = 'Test notification from script
   });
 }
 
+/**
+ * Send an authenticated JSON request to the server
+ */
+async function apiRequest(method, path, body) {
+  return new Promise((resolve, reject) => {
+    const postData = body ? JSON.stringify(body) : null;
+
+    const url = serverUrl(path);
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'https:' ? 443 : 80),
+      path: url.pathname + url.search,
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(postData ? { 'Content-Length': Buffer.byteLength(postData) } : {}),
+        ...getAuthHeaders()
+      }
+    };
+
+    const client = url.protocol === 'https:' ? https : http;
+
+    const req = client.request(options, (res) => {
+      let responseData = '';
+
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+
+      res.on('end', () => {
+        if (res.statusCode === 401 || res.statusCode === 403) {
+          reject(new Error(`Not authorized (${res.statusCode}) - set HAGZ_API_KEY or HAGZ_ACCESS_TOKEN`));
+          return;
+        }
+
+        try {
+          const result = JSON.parse(responseData);
+          resolve(result);
+        } catch (error) {
+          reject(new Error(`Failed to parse response: ${error.message}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(error);
+    });
+
+    if (postData) {
+      req.write(postData);
+    }
+    req.end();
+  });
+}
+
+/**
+ * Schedule a broadcast for later
+ * @param {object} schedule - { sendAt } or { recurrence, timezone }
+ */
+async function scheduleBroadcast(title, message, schedule, data = {}) {
+  return apiRequest('POST', '/scheduled-broadcasts', {
+    title,
+    message,
+    data,
+    sound: true,
+    ...schedule
+  });
+}
+
+/**
+ * List scheduled broadcasts
+ */
+async function listScheduledBroadcasts(status) {
+  const query = status ? `?status=${encodeURIComponent(status)}` : '';
+  return apiRequest('GET', `/scheduled-broadcasts${query}`);
+}
+
+/**
+ * Cancel a scheduled broadcast
+ */
+async function cancelScheduledBroadcast(id) {
+  return apiRequest('DELETE', `/scheduled-broadcasts/${encodeURIComponent(id)}`);
+}
+
 // Command line interface
 async function main() {
   const args = process.argv.slice(2);
@@ -196,6 +314,68 @@ async function main() {
         console.log('✅ Broadcast result:', result);
         break;
 
+      case 'schedule': {
+        const [, scheduleTitle, scheduleMessage, when] = args;
+        if (!scheduleTitle || !scheduleMessage || !when) {
+          console.error('❌ Title, message and send time or recurrence required for schedule command');
+          console.log('Usage: node send-notification-to-all.js schedule "Title" "Message" <sendAt|"cron expression">');
+          process.exit(1);
+        }
+
+        // Five space-separated fields is a recurrence; anything else is a send time
+        const timezone = getConfig().cliTimezone || undefined;
+        const schedule = when.trim().split(/\s+/).length === 5
+          ? { recurrence: when, timezone }
+          : { sendAt: when, timezone };
+
+        console.log('🗓️ Scheduling broadcast notification...');
+        const scheduled = await scheduleBroadcast(scheduleTitle, scheduleMessage, schedule, {
+          sentFrom: 'script'
+        });
+
+        if (scheduled.error) {
+          throw new Error(`${scheduled.error}${scheduled.details ? ` (${scheduled.details.join('; ')})` : ''}`);
+        }
+
+        console.log(`✅ Scheduled broadcast ${scheduled.id} - next run ${scheduled.nextRunAt}`);
+        break;
+      }
+
+      case 'scheduled': {
+        const { scheduledBroadcasts, error } = await listScheduledBroadcasts(args[1]);
+        if (error) {
+          throw new Error(error);
+        }
+
+        if (scheduledBroadcasts.length === 0) {
+          console.log('📭 No scheduled broadcasts');
+          break;
+        }
+
+        scheduledBroadcasts.forEach(scheduled => {
+          const when = scheduled.recurrence ? `${scheduled.recurrence} (${scheduled.timezone})` : scheduled.sendAt;
+          console.log(`${scheduled.id}  ${scheduled.status.padEnd(9)}  ${when}  next: ${scheduled.nextRunAt || '-'}  "${scheduled.title}"`);
+        });
+        break;
+      }
+
+      case 'cancel': {
+        const id = args[1];
+        if (!id) {
+          console.error('❌ Scheduled broadcast ID required for cancel command');
+          console.log('Usage: node send-notification-to-all.js cancel <id>');
+          process.exit(1);
+        }
+
+        const cancelled = await cancelScheduledBroadcast(id);
+        if (cancelled.error) {
+          throw new Error(cancelled.error);
+        }
+
+        console.log(`✅ Cancelled scheduled broadcast ${cancelled.id}`);
+        break;
+      }
+
       default:
         console.log(`
 📱 HAGZ Push Notification Script
@@ -204,11 +384,28 @@ Usage:
   node send-notification-to-all.js health
   node send-notification-to-all.js test-token <token> [message]
   node send-notification-to-all.js broadcast "Title" "Message"
+  node send-notification-to-all.js schedule "Title" "Message" <sendAt|"cron expression">
+  node send-notification-to-all.js scheduled [status]
+  node send-notification-to-all.js cancel <id>
+
+Server:
+  HAGZ_SERVER_URL=<url>                 Server to call (dev default: http://localhost:3000)
+  APP_ENV=dev|staging|prod              Environment whose CONFIG_FILE settings apply
+
+Authentication (required for every command except health):
+  HAGZ_API_KEY=<admin-api-key>          API key sent as x-api-key
+  HAGZ_ACCESS_TOKEN=<supabase-jwt>      Supabase access token of an admin user
+
+Scheduling:
+  sendAt is an ISO date-time; without an offset it is read in HAGZ_TIMEZONE
+  HAGZ_TIMEZONE=<iana-timezone>         Timezone for schedules (server default: Africa/Cairo)
 
 Examples:
   node send-notification-to-all.js health
   node send-notification-to-all.js test-token "ExponentPushToken[c-mLLnDKvCgMvBcqq5NYwL]"
-  node send-notification-to-all.js broadcast "HAGZ Update" "New features available!"
+  HAGZ_API_KEY=xxx node send-notification-to-all.js broadcast "HAGZ Update" "New features available!"
+  HAGZ_API_KEY=xxx node send-notification-to-all.js schedule "HAGZ" "Pitches are open for booking!" 2026-10-18T20:00
+  HAGZ_API_KEY=xxx node send-notification-to-all.js schedule "HAGZ" "Pitches are open for booking!" "0 20 * * *"
         `);
         break;
     }
@@ -220,11 +417,15 @@ Examples:
 
 // Run if called directly
 if (require.main === module) {
+  checkConfig(['server']);
   main();
 }
 
 module.exports = {
   sendNotificationToAll,
   testServerHealth,
-  testSpecificToken
+  testSpecificToken,
+  scheduleBroadcast,
+  listScheduledBroadcasts,
+  cancelScheduledBroadcast
 };
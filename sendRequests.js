@@ -0,0 +1,262 @@
+// Send Requests
+// The work behind each send route, shared by the legacy routes and /v1 so
+// both validate and queue the same way and only differ in response shape.
+//
+// Each function returns its outcome on success, or a rejection:
+//   { rejected: true, status, code, error, details[, retryAfter] }
+// where status is the HTTP status and details lists { field, message }.
+//
+// A reused Idempotency-Key returns the caller's earlier job, or an
+// idempotency_key_reused rejection when it came with a different request.
+
+const { enqueueNotification, findQueuedJob } = require('./notificationQueue');
+const { sendPushNotifications } = require('./pushNotificationSender');
+const { getUserPushTokens } = require('./pushTokens');
+const { parseBroadcast, sendBroadcast, countBroadcastAudience } = require('./broadcasts');
+const { getSegment } = require('./audienceSegments');
+const { createInvitation, getInvitation, getInvitationTemplate } = require('./gameInvitations');
+const { getProfiles, getDisplayName } = require('./userProfiles');
+const { SCHEMAS, validateBody, toDetail } = require('./requestSchemas');
+const { ROLES } = require('./auth');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('sendRequests');
+
+// HTTP status for each reason an invitation is refused (see INVITATION_ERRORS)
+const INVITATION_ERROR_STATUS = {
+  incomplete_game_time: 400,
+  invalid_game_time: 400,
+  self_invite: 400,
+  blocked: 403,
+  duplicate_invitation: 409,
+  inviter_rate_limited: 429,
+  target_rate_limited: 429
+};
+
+/**
+ * Queue a broadcast, or count its audience for a dry run
+ * @param {object} body - Request body (see SCHEMAS.broadcast)
+ * @param {object} queueOptions - { idempotencyKey, createdBy }
+ * @returns {Promise<object>} - { job }, { dryRun: true, audience } or a rejection
+ */
+async function queueBroadcast(body, queueOptions) {
+  const invalid = checkBody(SCHEMAS.broadcast, body);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { broadcast, error, details } = parseBroadcast(body);
+  if (error) {
+    return rejectRequest(400, 'invalid_request', error, (details || []).map(toDetail));
+  }
+
+  if (broadcast.segmentName && !(await getSegment(broadcast.segmentName))) {
+    return rejectRequest(400, 'segment_not_found', `Audience segment ${broadcast.segmentName} not found`, [
+      { field: 'segmentName', message: 'is not a saved segment' }
+    ]);
+  }
+
+  // Dry run: report who would receive it without sending anything
+  if (body.dryRun === true) {
+    return { dryRun: true, audience: await countBroadcastAudience(broadcast) };
+  }
+
+  const job = await sendBroadcast(broadcast, { ...queueOptions, request: body });
+
+  if (!job) {
+    return rejectRequest(404, 'no_recipients', 'No users with push tokens found');
+  }
+
+  if (job.conflict) {
+    return rejectReusedKey();
+  }
+
+  return { job };
+}
+
+/**
+ * Record a game invitation and queue its push
+ * Users may only invite on their own behalf, to the invitee's registered devices; admins and
+ * services may name any inviter and send to a given device token.
+ * The push uses the localized game_invitation copy; admins and services may replace it with
+ * their own title and message.
+ * @param {object} body - Request body (see SCHEMAS.gameInvitation)
+ * @param {object} auth - req.auth of the caller
+ * @param {object} queueOptions - { idempotencyKey, createdBy }
+ * @returns {Promise<object>} - { job, invitation } or a rejection
+ */
+async function queueGameInvitation(body, auth, queueOptions) {
+  const invalid = checkBody(SCHEMAS.gameInvitation, body);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { targetUserId, targetUserToken, title, message, data = {}, options } = body;
+  const inviterUserId = body.inviterUserId || auth.userId;
+  const gameId = body.gameId || data.gameId;
+
+  if (!gameId) {
+    return rejectRequest(400, 'invalid_request', 'Invalid request body', [{ field: 'gameId', message: 'is required' }]);
+  }
+
+  // API keys have no user of their own, so their callers must name the inviter
+  if (!inviterUserId) {
+    return rejectRequest(400, 'invalid_request', 'Invalid request body', [
+      { field: 'inviterUserId', message: 'is required when calling with an API key' }
+    ]);
+  }
+
+  if (auth.role === ROLES.USER && inviterUserId !== auth.userId) {
+    return rejectRequest(403, 'forbidden', 'Invitations can only be sent from your own account');
+  }
+
+  // A raw token could belong to anyone, so users always reach the invitee's own devices
+  if (auth.role === ROLES.USER && targetUserToken) {
+    return rejectRequest(403, 'forbidden', 'Invitations from users are sent to the invitee\'s registered devices', [
+      { field: 'targetUserToken', message: 'is only accepted from admins and services' }
+    ]);
+  }
+
+  // Send to the given device, or to every device of the target user
+  if (!targetUserToken) {
+    const storedTokens = await getUserPushTokens([targetUserId]);
+    if ((storedTokens.get(targetUserId) || []).length === 0) {
+      return rejectRequest(404, 'no_recipients', 'User not found or no push token');
+    }
+  }
+
+  const inviter = (await getProfiles([inviterUserId])).get(inviterUserId);
+  if (!inviter) {
+    return rejectRequest(404, 'inviter_not_found', 'Inviter not found');
+  }
+
+  const details = {
+    pitchName: body.pitchName || data.pitchName,
+    gameDate: body.gameDate || data.gameDate,
+    gameTime: body.gameTime || data.gameTime,
+    pitchTimezone: body.pitchTimezone || data.pitchTimezone
+  };
+
+  // A retry gets its original invitation back rather than a duplicate_invitation refusal
+  if (queueOptions.idempotencyKey) {
+    const queued = await findQueuedJob(queueOptions.idempotencyKey, queueOptions.createdBy, body);
+    if (queued && queued.conflict) {
+      return rejectReusedKey();
+    }
+    if (queued) {
+      return { job: queued, invitation: await getInvitation(queued.payload.data.invitationId) };
+    }
+  }
+
+  // Recorded first so the push can carry the ID the accept/decline actions need
+  const { invitation, error, code, retryAfter } = await createInvitation({
+    ...details,
+    gameId,
+    inviterId: inviterUserId,
+    inviteeId: targetUserId
+  });
+
+  if (error) {
+    return { ...rejectRequest(INVITATION_ERROR_STATUS[code], code, error), retryAfter };
+  }
+
+  // Users' own text is ignored so an invitation always reads as one
+  const copy = auth.role !== ROLES.USER && title && message
+    ? { title, body: message }
+    : { template: getInvitationTemplate(getDisplayName(inviter), details) };
+
+  const job = await enqueueNotification([{ userId: targetUserId, token: targetUserToken }], {
+    type: 'game_invitation',
+    ...copy,
+    data: { ...data, gameId, invitationId: invitation.id, inviterId: inviterUserId },
+    logData: { invited_by: inviterUserId, game_id: gameId },
+    options
+  }, { ...queueOptions, request: body });
+
+  // Lost a race with another request using the same key; the invitation was refused or
+  // recorded by whichever came first, so this one only reports the key as reused
+  if (job.conflict) {
+    return rejectReusedKey();
+  }
+
+  return { job, invitation };
+}
+
+/**
+ * Queue a notification to every device of one user
+ * @param {object} body - Request body (see SCHEMAS.userNotification)
+ * @param {object} queueOptions - { idempotencyKey, createdBy }
+ * @returns {Promise<object>} - { job } or a rejection
+ */
+async function queueUserNotification(body, queueOptions) {
+  const invalid = checkBody(SCHEMAS.userNotification, body);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { userId, title, message, data = {}, options } = body;
+
+  // Make sure the user has at least one device before queuing
+  const storedTokens = await getUserPushTokens([userId]);
+  if ((storedTokens.get(userId) || []).length === 0) {
+    return rejectRequest(404, 'no_recipients', 'User not found or no push token');
+  }
+
+  const job = await enqueueNotification([{ userId }], {
+    type: 'direct',
+    title,
+    body: message,
+    data,
+    options
+  }, { ...queueOptions, request: body });
+
+  if (job.conflict) {
+    return rejectReusedKey();
+  }
+
+  return { job };
+}
+
+/**
+ * Send a test notification straight to one token, bypassing the queue
+ * @param {object} body - Request body (see SCHEMAS.testNotification)
+ * @returns {Promise<object>} - { delivery } (see sendPushNotifications) or a rejection
+ */
+async function sendTestNotification(body) {
+  const invalid = checkBody(SCHEMAS.testNotification, body);
+  if (invalid) {
+    return invalid;
+  }
+
+  const { token, message = 'Test notification from server', options } = body;
+
+  logger.info('Testing token', { token });
+
+  const delivery = await sendPushNotifications([token], 'HAGZ', message, {
+    test: true,
+    timestamp: new Date().toISOString()
+  }, options);
+
+  return { delivery };
+}
+
+function checkBody(schema, body) {
+  const details = validateBody(schema, body);
+  return details.length > 0 ? rejectRequest(400, 'invalid_request', 'Invalid request body', details) : null;
+}
+
+function rejectRequest(status, code, error, details = []) {
+  return { rejected: true, status, code, error, details };
+}
+
+// Answering with the earlier job would silently drop this request
+function rejectReusedKey() {
+  return rejectRequest(422, 'idempotency_key_reused', 'This Idempotency-Key was already used for a different request');
+}
+
+module.exports = {
+  queueBroadcast,
+  queueGameInvitation,
+  queueUserNotification,
+  sendTestNotification
+};
@@ -0,0 +1,68 @@
+// Shared Supabase client
+// Every module talks to the database through this single service-role client.
+// DATABASE_PROVIDER=memory swaps it for the in-memory stand-in (see
+// memorySupabase.js), optionally seeded from the JSON file in MEMORY_DATABASE_SEED.
+
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('supabaseClient');
+
+const { databaseProvider, supabaseUrl, supabaseServiceKey, memoryDatabaseSeed } = getConfig();
+
+const supabase = createDatabaseClient();
+
+// Supabase caps a select at 1000 rows by default
+const PAGE_SIZE = 1000;
+
+/**
+ * Page through a table past the default row limit
+ * @param {string} table - Table to read
+ * @param {string} columns - Columns to select
+ * @param {function} [applyFilters] - Adds filters to the query
+ * @param {string} [orderBy] - Unique column to page by, so pages neither overlap nor skip rows
+ * @returns {Promise<object[]>} - Every matching row
+ */
+async function fetchAllRows(table, columns, applyFilters = query => query, orderBy = 'id') {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await applyFilters(supabase.from(table).select(columns))
+      .order(orderBy, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch ${table}: ${error.message}`);
+    }
+
+    rows.push(...(data || []));
+
+    if (!data || data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+function createDatabaseClient() {
+  if (databaseProvider === 'memory') {
+    // Required here so production never loads the stand-in
+    const { createMemorySupabase } = require('./memorySupabase');
+    const seed = memoryDatabaseSeed ? JSON.parse(fs.readFileSync(memoryDatabaseSeed, 'utf8')) : {};
+
+    logger.info('Using the in-memory database; nothing is stored in Supabase');
+    return createMemorySupabase(seed);
+  }
+
+  // Left as null until configured so DB-free scripts (e.g. the
+  // pushNotificationSender CLI) can still load modules that import this;
+  // entry points that need the database check with checkConfig(['database'])
+  return supabaseUrl && supabaseServiceKey ? createClient(supabaseUrl, supabaseServiceKey) : null;
+}
+
+module.exports = {
+  supabase,
+  databaseProvider,
+  fetchAllRows
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, describeConfig } = require('../config');
+
+test('reads typed settings from the environment over defaults', () => {
+  const config = loadConfig({ PORT: '8080', CORS_ORIGINS: 'https://a.example, https://b.example,', SUPABASE_SERVICE_ROLE_KEY: 'key' });
+
+  assert.strictEqual(config.environment, 'dev');
+  assert.strictEqual(config.port, 8080);
+  assert.deepStrictEqual(config.corsOrigins, ['https://a.example', 'https://b.example']);
+  assert.strictEqual(config.tokenStaleDays, 90);
+  assert.strictEqual(config.supabaseUrl, null);
+  assert.strictEqual(config.serverUrl, 'http://localhost:3000');
+  assert.strictEqual(describeConfig(config).supabaseServiceKey, 'set');
+});
+
+test('lists every invalid value in one error without echoing secrets', () => {
+  assert.throws(() => loadConfig({
+    APP_ENV: 'prod',
+    PORT: 'abc',
+    SUPABASE_URL: 'not a url',
+    DEFAULT_TIMEZONE: 'Mars/Olympus',
+    DATABASE_PROVIDER: 'memory'
+  }), error => {
+    assert.strictEqual(error.message, [
+      'Invalid configuration (prod):',
+      '  - PORT must be a positive integer (got "abc")',
+      '  - SUPABASE_URL must be an http(s) URL (got "not a url")',
+      '  - DEFAULT_TIMEZONE must be an IANA timezone name (got "Mars/Olympus")',
+      '  - DATABASE_PROVIDER=memory is not allowed in prod'
+    ].join('\n'));
+    return true;
+  });
+
+  assert.throws(() => loadConfig({ APP_ENV: 'staging', PUSH_PROVIDER: 'mock' }), /PUSH_PROVIDER=mock is only allowed in dev, not staging/);
+});
+
+test('layers the config file under the environment, with per-environment overrides', t => {
+  const file = path.join(os.tmpdir(), `config-test-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    TOKEN_STALE_DAYS: 30,
+    SUPABASE_URL: 'https://shared.example',
+    staging: { SUPABASE_URL: 'https://staging.example/' }
+  }));
+  t.after(() => fs.unlinkSync(file));
+
+  const staging = loadConfig({ CONFIG_FILE: file, APP_ENV: 'staging', TOKEN_STALE_DAYS: '60' });
+  assert.strictEqual(staging.supabaseUrl, 'https://staging.example');
+  assert.strictEqual(staging.tokenStaleDays, 60);
+  assert.strictEqual(staging.serverUrl, null);
+
+  const dev = loadConfig({ CONFIG_FILE: file });
+  assert.strictEqual(dev.supabaseUrl, 'https://shared.example');
+  assert.strictEqual(dev.tokenStaleDays, 30);
+
+  fs.writeFileSync(file, JSON.stringify({ prod: { SUPABASE_KEY: 'typo' } }));
+  assert.throws(() => loadConfig({ CONFIG_FILE: file }), /unknown setting prod\.SUPABASE_KEY/);
+
+  fs.writeFileSync(file, JSON.stringify({ staging: 'x', prod: ['SUPABASE_URL'] }));
+  assert.throws(() => loadConfig({ CONFIG_FILE: file }), error => {
+    assert.match(error.message, /section staging must be an object of settings/);
+    assert.match(error.message, /section prod must be an object of settings/);
+    return true;
+  });
+});
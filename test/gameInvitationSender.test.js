@@ -0,0 +1,138 @@
+const { supabase, pushProvider, token, resetState, seedUser, localDateTime, settle } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { sendGameInvitationNotification, sendBulkGameInvitations } = require('../gameInvitationSender');
+const { getJobReport } = require('../notificationQueue');
+
+const tomorrow = localDateTime(new Date(Date.now() + 24 * 60 * 60 * 1000), 'Africa/Cairo');
+
+const game = {
+  inviterUserId: 'host',
+  gameId: 'game-1',
+  gameDate: tomorrow.date,
+  gameTime: '18:00',
+  pitchName: 'Pitch 3'
+};
+
+test.beforeEach(() => {
+  resetState();
+  seedUser('host', { fullName: 'Ahmed' });
+});
+
+test('records the invitation and queues a push carrying its ID', async () => {
+  seedUser('guest');
+
+  const outcome = await sendGameInvitationNotification({ ...game, targetUserId: 'guest' });
+  await settle();
+
+  assert.strictEqual(outcome.success, true);
+  const [invitation] = supabase.getRows('game_invitations');
+  assert.strictEqual(outcome.invitationId, invitation.id);
+
+  const [job] = supabase.getRows('notification_jobs');
+  assert.strictEqual(outcome.jobId, job.id);
+  assert.strictEqual(job.idempotency_key, `server:game_invitation:${invitation.id}`);
+  assert.strictEqual((await getJobReport(job.id)).status, 'completed');
+
+  const [message] = pushProvider.getSentMessages();
+  assert.strictEqual(message.to, token('guest'));
+  assert.strictEqual(message.data.invitationId, invitation.id);
+  assert.match(message.body, /^Ahmed invited you to join a match at Pitch 3/);
+});
+
+test('reports each target that could not be invited with its reason', async () => {
+  ['ok', 'blocker', 'invited', 'dead'].forEach(id => seedUser(id));
+  supabase.seed('user_blocks', [{ blocker_id: 'blocker', blocked_id: 'host' }]);
+  supabase.seed('game_invitations', [{
+    game_id: 'game-1',
+    inviter_id: 'host',
+    invitee_id: 'invited',
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  }]);
+  pushProvider.failToken(token('dead'), 'DeviceNotRegistered');
+
+  const results = await sendBulkGameInvitations({
+    ...game,
+    targetUserIds: ['ok', 'blocker', 'invited', 'ghost', 'host', 'dead', 'ok']
+  });
+
+  await settle();
+
+  assert.strictEqual(results.success, 2);
+  assert.strictEqual(results.failed, 4);
+  assert.deepStrictEqual(results.errors, [
+    'User blocker: [blocked] This user is not accepting invitations from you',
+    'User invited: [duplicate_invitation] This user has already been invited to this game',
+    'User ghost: User not found',
+    'User host: [self_invite] You cannot invite yourself'
+  ]);
+
+  // A job per invitation; delivery failures show in its report rather than here
+  assert.deepStrictEqual(pushProvider.getSentMessages().map(message => message.to), [token('ok'), token('dead')]);
+  const deadJob = supabase.getRows('notification_messages').find(message => message.user_id === 'dead').job_id;
+  const report = await getJobReport(deadJob);
+  assert.strictEqual(report.counts.failed, 1);
+  assert.strictEqual(report.unsent[0].errorCode, 'DeviceNotRegistered');
+});
+
+test('fails every target when the inviter is unknown', async () => {
+  seedUser('guest');
+
+  const results = await sendBulkGameInvitations({ ...game, inviterUserId: 'nobody', targetUserIds: ['guest', 'host'] });
+
+  assert.deepStrictEqual(results, {
+    success: 0,
+    failed: 2,
+    errors: ['User guest: Inviter not found', 'User host: Inviter not found']
+  });
+  assert.strictEqual(supabase.getRows('game_invitations').length, 0);
+});
+
+test('refuses a malformed game time before recording anything', async () => {
+  seedUser('guest');
+
+  const results = await sendBulkGameInvitations({ ...game, gameDate: '01/02/2030', targetUserIds: ['guest'] });
+
+  assert.deepStrictEqual(results, {
+    success: 0,
+    failed: 1,
+    errors: ['User guest: [invalid_game_time] The game date, time or timezone is not valid, or the game has already started']
+  });
+  assert.strictEqual(supabase.getRows('game_invitations').length, 0);
+  assert.strictEqual(pushProvider.getSentMessages().length, 0);
+
+  // Nothing was stored, so the corrected invitation goes out
+  const retry = await sendBulkGameInvitations({ ...game, targetUserIds: ['guest'] });
+  assert.strictEqual(retry.success, 1);
+});
+
+test('refuses a game that has already started', async () => {
+  seedUser('guest');
+
+  const outcome = await sendGameInvitationNotification({ ...game, gameDate: '2020-01-01', gameTime: '10:00', targetUserId: 'guest' });
+
+  assert.strictEqual(outcome.success, false);
+  assert.strictEqual(outcome.code, 'invalid_game_time');
+  assert.strictEqual(supabase.getRows('game_invitations').length, 0);
+  assert.strictEqual(pushProvider.getSentMessages().length, 0);
+});
+
+test('asks for the date and time together', async () => {
+  seedUser('guest');
+
+  const outcome = await sendGameInvitationNotification({ ...game, gameTime: undefined, targetUserId: 'guest' });
+
+  assert.strictEqual(outcome.code, 'incomplete_game_time');
+  assert.strictEqual(outcome.error, 'The game date and time must be given together');
+});
+
+test('sends invitations without a game time, leaving the time out', async () => {
+  seedUser('guest');
+
+  const outcome = await sendGameInvitationNotification({ ...game, gameDate: undefined, gameTime: undefined, targetUserId: 'guest' });
+  await settle();
+
+  assert.strictEqual(outcome.success, true);
+  const [message] = pushProvider.getSentMessages();
+  assert.strictEqual(message.body, 'Ahmed invited you to join a match at Pitch 3');
+});
@@ -0,0 +1,75 @@
+// Shared test setup: everything runs offline against the in-memory database
+// and the mock push provider. Require this before the modules under test, as
+// both are selected when supabaseClient.js and pushProviders.js first load.
+
+process.env.DATABASE_PROVIDER = 'memory';
+process.env.PUSH_PROVIDER = 'mock';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.SERVICE_API_KEY = 'test-service-key';
+
+const test = require('node:test');
+const { supabase } = require('../supabaseClient');
+const { getPushProvider } = require('../pushProviders');
+
+// The jobs and routes log every step; keep the test output to the results
+test.mock.method(console, 'log', () => {});
+
+const pushProvider = getPushProvider();
+
+function token(name) {
+  return `ExponentPushToken[${name}]`;
+}
+
+/**
+ * Empty the database and the mock push service
+ */
+function resetState() {
+  supabase.reset();
+  pushProvider.reset();
+}
+
+/**
+ * Seed a signed-in user with one device; `sessionToken` authenticates as them
+ */
+function seedUser(id, { fullName = null, role = null } = {}) {
+  supabase.seed('user_profiles', [{ id, full_name: fullName }]);
+  supabase.seed('device_tokens', [{ user_id: id, push_token: token(id) }]);
+  supabase.addSession(`session-${id}`, { id, app_metadata: role ? { role } : {} });
+  return { id, sessionToken: `session-${id}`, pushToken: token(id) };
+}
+
+/**
+ * Local date and time of an instant in a timezone, as bookings store them
+ */
+function localDateTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}:00` };
+}
+
+/**
+ * Let queued work started with setImmediate (e.g. queue processing after enqueue) finish
+ */
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+module.exports = {
+  ADMIN_KEY: process.env.ADMIN_API_KEY,
+  SERVICE_KEY: process.env.SERVICE_API_KEY,
+  supabase,
+  pushProvider,
+  token,
+  resetState,
+  seedUser,
+  localDateTime,
+  settle
+};
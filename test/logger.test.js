@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const request = require('supertest');
+const { createLogger, withTaskContext, logRequests } = require('../logger');
+const { assignRequestId } = require('../apiContract');
+
+const logger = createLogger('loggerTest');
+
+// Parsed log lines written during a test, from stdout and stderr
+function captureLogs(t) {
+  const lines = [];
+  const capture = entry => lines.push(JSON.parse(entry));
+  t.mock.method(console, 'log', capture);
+  t.mock.method(console, 'error', capture);
+  return lines;
+}
+
+test('redacts push tokens, emails and credentials in messages and fields', t => {
+  const lines = captureLogs(t);
+  const token = 'ExponentPushToken[abcdefghijklmnop]';
+
+  logger.warn(`Push token ${token} is not valid for player@example.com`, {
+    token,
+    results: [{ to: token, pushToken: 'raw-device-token' }],
+    headers: { 'x-api-key': 'secret-key', authorization: 'Bearer jwt' },
+    error: new Error(`Could not reach ${token}`)
+  });
+
+  const [line] = lines;
+  const serialized = JSON.stringify(line);
+  assert.ok(!serialized.includes('abcdefghijklmnop'));
+  assert.ok(!serialized.includes('raw-device-token'));
+  assert.ok(!serialized.includes('player@'));
+  assert.ok(!serialized.includes('secret-key'));
+
+  assert.strictEqual(line.level, 'warn');
+  assert.strictEqual(line.module, 'loggerTest');
+  assert.match(line.msg, /^Push token ExponentPushToken\[#[0-9a-f]{10}\] is not valid for \*\*\*@example\.com$/);
+  // The same token always gets the same fingerprint
+  assert.strictEqual(line.token, line.results[0].to);
+  assert.strictEqual(line.headers.authorization, '[redacted]');
+  assert.strictEqual(line.error.message, `Could not reach ${line.token}`);
+});
+
+test('adds the task context to lines logged from async work and skips debug lines', async t => {
+  const lines = captureLogs(t);
+
+  await withTaskContext('match-reminders', async () => {
+    logger.debug('Not written at the default level');
+    await new Promise(resolve => setImmediate(resolve));
+    logger.info('Later in the tick');
+  });
+  logger.info('Outside the tick');
+
+  assert.deepStrictEqual(lines.map(line => line.msg), ['Later in the tick', 'Outside the tick']);
+  assert.strictEqual(lines[0].task, 'match-reminders');
+  assert.ok(lines[0].runId);
+  assert.strictEqual(lines[1].runId, undefined);
+});
+
+test('tags route logs with the request ID and logs the outcome', async t => {
+  const lines = captureLogs(t);
+  const app = express();
+  app.use(assignRequestId, logRequests);
+  app.get('/thing', async (req, res) => {
+    await new Promise(resolve => setImmediate(resolve));
+    logger.info('Handling thing');
+    res.json({ ok: true });
+  });
+
+  await request(app).get('/thing').set('X-Request-Id', 'request-1234').expect(200);
+
+  assert.deepStrictEqual(lines.map(line => [line.msg, line.requestId]), [
+    ['Handling thing', 'request-1234'],
+    ['Request completed', 'request-1234']
+  ]);
+  assert.strictEqual(lines[1].status, 200);
+});
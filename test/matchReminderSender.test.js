@@ -0,0 +1,107 @@
+const { supabase, pushProvider, token, resetState, seedUser, localDateTime, settle } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { processMatchReminders } = require('../matchReminderSender');
+const { zonedTimeToDate } = require('../timezones');
+const { formatDateTime } = require('../notificationTemplates');
+
+// Confirmed booking at Pitch 3 kicking off `minutesAhead` from now, local to the pitch
+function seedMatch(minutesAhead, playerIds, timeZone = 'Africa/Cairo') {
+  const { date, time } = localDateTime(new Date(Date.now() + minutesAhead * 60000), timeZone);
+
+  supabase.seed('pitches', [{ id: 'p1', name: 'Pitch 3', timezone: timeZone }]);
+  supabase.seed('bookings', [{ id: 'b1', pitch_id: 'p1', status: 'confirmed', date, start_time: time, match_type: 'friendly' }]);
+  supabase.seed('booking_participants', playerIds.map(userId => ({ booking_id: 'b1', user_id: userId })));
+
+  return zonedTimeToDate(date, time, timeZone);
+}
+
+function stages() {
+  return supabase.getRows('match_reminder_stages').map(row => [row.stage, row.status]).sort();
+}
+
+test.beforeEach(resetState);
+
+test('queues the closest due stage once and passes over the earlier ones', async () => {
+  seedUser('u1');
+  const kickOff = seedMatch(90, ['u1']);
+
+  await processMatchReminders();
+  await processMatchReminders();
+
+  assert.deepStrictEqual(stages(), [['24h', 'skipped'], ['2h', 'sent']]);
+
+  const jobs = supabase.getRows('notification_jobs');
+  assert.deepStrictEqual(jobs.map(job => job.idempotency_key), ['server:match_reminder:b1:2h']);
+
+  const { template, data } = jobs[0].payload;
+  assert.strictEqual(template.key, 'match_reminder');
+  assert.deepStrictEqual(template.params.leadTime, { duration: 120 });
+  assert.strictEqual(template.params.matchTime.datetime, kickOff.toISOString());
+  assert.strictEqual(data.gameId, 'b1');
+  assert.strictEqual(data.reminderStage, '2h');
+});
+
+test('formats the match time in the push data for each recipient', async () => {
+  seedUser('u1');
+  supabase.seed('user_profiles', [{ id: 'u2' }]);
+  supabase.seed('device_tokens', [{ user_id: 'u2', push_token: token('u2'), locale: 'ar-EG' }]);
+  const kickOff = seedMatch(90, ['u1', 'u2']);
+
+  await processMatchReminders();
+  await settle();
+
+  const matchTimes = new Map(pushProvider.getSentMessages().map(message => [message.to, message.data.matchTime]));
+  assert.strictEqual(matchTimes.get(token('u1')), formatDateTime(kickOff, 'en-US', 'Africa/Cairo'));
+  assert.strictEqual(matchTimes.get(token('u2')), formatDateTime(kickOff, 'ar-EG', 'Africa/Cairo'));
+  assert.notStrictEqual(matchTimes.get(token('u1')), matchTimes.get(token('u2')));
+});
+
+test('resolves kick-off in the pitch timezone', async () => {
+  seedUser('u1');
+  seedMatch(10, ['u1'], 'Asia/Dubai');
+
+  await processMatchReminders();
+
+  assert.deepStrictEqual(stages(), [['15m', 'sent'], ['24h', 'skipped'], ['2h', 'skipped']]);
+});
+
+test('leaves out participants who turned the stage off', async () => {
+  seedUser('u1');
+  seedUser('u2');
+  supabase.seed('notification_preferences', [{ user_id: 'u2', reminder_stages: ['24h'] }]);
+  seedMatch(90, ['u1', 'u2']);
+
+  await processMatchReminders();
+
+  const [job] = supabase.getRows('notification_jobs');
+  const messages = supabase.getRows('notification_messages').filter(message => message.job_id === job.id);
+  assert.deepStrictEqual(messages.map(message => message.user_id), ['u1']);
+});
+
+test('ignores matches beyond the longest stage', async () => {
+  seedUser('u1');
+  seedMatch(3 * 24 * 60, ['u1']);
+
+  await processMatchReminders();
+
+  assert.deepStrictEqual(stages(), []);
+  assert.strictEqual(supabase.getRows('notification_jobs').length, 0);
+});
+
+test('releases the stage when participants cannot be loaded', async t => {
+  seedUser('u1');
+  seedMatch(90, ['u1']);
+
+  const rpc = supabase.rpc;
+  t.mock.method(supabase, 'rpc', (name, args) => name === 'get_match_participants'
+    ? Promise.resolve({ data: null, error: { message: 'connection reset' } })
+    : rpc(name, args));
+  t.mock.method(console, 'error', () => {});
+
+  await processMatchReminders();
+
+  // Passed-over stages stay recorded; the one that failed is tried again next run
+  assert.deepStrictEqual(stages(), [['24h', 'skipped']]);
+  assert.strictEqual(supabase.getRows('notification_jobs').length, 0);
+});
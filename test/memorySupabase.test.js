@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemorySupabase } = require('../memorySupabase');
+
+test('applies column defaults and returns rows only when selected', async () => {
+  const db = createMemorySupabase();
+
+  const { data: none } = await db.from('device_tokens').insert({ user_id: 'u1', push_token: 'a' });
+  assert.strictEqual(none, null);
+
+  const { data: device } = await db.from('device_tokens')
+    .insert({ user_id: 'u1', push_token: 'b' })
+    .select('id, push_token, failure_count')
+    .single();
+
+  assert.ok(device.id);
+  assert.deepStrictEqual({ ...device, id: null }, { id: null, push_token: 'b', failure_count: 0 });
+});
+
+test('rejects unique violations with 23505 and leaves the table unchanged', async () => {
+  const db = createMemorySupabase({ device_tokens: [{ user_id: 'u1', push_token: 'a' }] });
+
+  const { error } = await db.from('device_tokens').insert([
+    { user_id: 'u2', push_token: 'b' },
+    { user_id: 'u2', push_token: 'a' }
+  ]);
+
+  assert.strictEqual(error.code, '23505');
+  assert.deepStrictEqual(db.getRows('device_tokens').map(row => row.push_token), ['a']);
+});
+
+test('upserts on the conflict columns and skips duplicates when asked', async () => {
+  const db = createMemorySupabase();
+  const stage = status => ({ booking_id: 'b1', stage: '2h', status });
+
+  const { data: first } = await db.from('match_reminder_stages')
+    .upsert([stage('sent')], { onConflict: 'booking_id,stage', ignoreDuplicates: true })
+    .select('stage');
+  const { data: second } = await db.from('match_reminder_stages')
+    .upsert([stage('skipped')], { onConflict: 'booking_id,stage', ignoreDuplicates: true })
+    .select('stage');
+
+  assert.strictEqual(first.length, 1);
+  assert.strictEqual(second.length, 0);
+
+  await db.from('match_reminder_stages').upsert(stage('skipped'), { onConflict: 'booking_id,stage' });
+  assert.deepStrictEqual(db.getRows('match_reminder_stages').map(row => row.status), ['skipped']);
+});
+
+test('filters with PostgREST or expressions, order, range and counts', async () => {
+  const db = createMemorySupabase({
+    notification_messages: [
+      { idempotency_key: 'a', status: 'pending', next_attempt_at: '2024-01-01T00:00:00Z' },
+      { idempotency_key: 'b', status: 'pending', next_attempt_at: '2024-01-03T00:00:00.000Z' },
+      { idempotency_key: 'c', status: 'processing', locked_at: '2024-01-01T00:00:00Z', next_attempt_at: '2024-01-02T00:00:00Z' },
+      { idempotency_key: 'd', status: 'sent', next_attempt_at: '2024-01-01T00:00:00Z' }
+    ]
+  });
+
+  const { data, count } = await db.from('notification_messages')
+    .select('idempotency_key', { count: 'exact' })
+    .or('and(status.eq.pending,next_attempt_at.lte.2024-01-02T00:00:00.000Z),and(status.eq.processing,locked_at.lt.2024-01-01T00:05:00.000Z)')
+    .order('next_attempt_at', { ascending: false })
+    .range(0, 0);
+
+  assert.strictEqual(count, 2);
+  assert.deepStrictEqual(data, [{ idempotency_key: 'c' }]);
+
+  const { count: unlocked } = await db.from('notification_messages')
+    .select('id', { count: 'exact', head: true })
+    .is('locked_at', null)
+    .in('status', ['pending', 'sent']);
+  assert.strictEqual(unlocked, 3);
+});
+
+test('reports single-row errors like PostgREST', async () => {
+  const db = createMemorySupabase({ user_profiles: [{ id: 'u1' }, { id: 'u2' }] });
+
+  const { error } = await db.from('user_profiles').select('id').single();
+  assert.strictEqual(error.code, 'PGRST116');
+
+  const { data, error: missingError } = await db.from('user_profiles').select('id').eq('id', 'u3').maybeSingle();
+  assert.strictEqual(data, null);
+  assert.strictEqual(missingError, null);
+});
+
+test('runs the migration RPCs over the tables', async () => {
+  const db = createMemorySupabase({
+    notifications: [
+      { user_id: 'u1' },
+      { user_id: 'u1', read_at: '2024-01-01T00:00:00Z' },
+      { user_id: 'u2' }
+    ]
+  });
+
+  const { data } = await db.rpc('get_unread_counts', { user_ids: ['u1'] });
+  assert.deepStrictEqual(data, [{ user_id: 'u1', unread: 1 }]);
+
+  const { error } = await db.rpc('not_a_function');
+  assert.strictEqual(error.code, 'PGRST202');
+});
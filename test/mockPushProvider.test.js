@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMockPushProvider } = require('../mockPushProvider');
+const { setPushProvider } = require('../pushProviders');
+const { sendPushNotifications } = require('../pushNotificationSender');
+const { resetConfig } = require('../config');
+
+function token(name) {
+  return `ExponentPushToken[${name}]`;
+}
+
+function message(to) {
+  return { to, body: 'Body' };
+}
+
+test('answers each message with a ticket and a receipt', async () => {
+  const provider = createMockPushProvider({
+    ticketErrors: { [token('dead')]: 'DeviceNotRegistered' },
+    receiptErrors: { [token('slow')]: 'MessageRateExceeded' }
+  });
+
+  const tickets = await provider.sendMessages([token('ok'), token('dead'), token('slow')].map(message));
+
+  assert.deepStrictEqual(tickets.map(ticket => ticket.status), ['ok', 'error', 'ok']);
+  assert.strictEqual(tickets[1].details.error, 'DeviceNotRegistered');
+
+  const receipts = await provider.getReceipts([tickets[0].id, tickets[2].id, 'unknown']);
+  assert.deepStrictEqual(receipts[tickets[0].id], { status: 'ok' });
+  assert.strictEqual(receipts[tickets[2].id].details.error, 'MessageRateExceeded');
+  assert.ok(!('unknown' in receipts));
+});
+
+test('reads failures from the environment', async t => {
+  t.after(() => {
+    delete process.env.MOCK_PUSH_TICKET_ERRORS;
+    resetConfig();
+  });
+  process.env.MOCK_PUSH_TICKET_ERRORS = `${token('a')}=DeviceNotRegistered, ${token('b')}=MessageTooBig`;
+  resetConfig();
+
+  const provider = createMockPushProvider();
+  const tickets = await provider.sendMessages([token('a'), token('b'), token('c')].map(message));
+
+  assert.deepStrictEqual(tickets.map(ticket => ticket.details && ticket.details.error), ['DeviceNotRegistered', 'MessageTooBig', undefined]);
+});
+
+test('runs sendPushNotifications offline', async t => {
+  const provider = createMockPushProvider();
+  setPushProvider(provider);
+  t.after(() => setPushProvider(null));
+
+  provider.failToken(token('dead'), 'DeviceNotRegistered');
+
+  const result = await sendPushNotifications([token('alive'), token('dead'), 'malformed'], 'Title', 'Body');
+
+  assert.deepStrictEqual(result.results.map(({ status }) => status), ['sent', 'failed', 'skipped']);
+  assert.deepStrictEqual(result.invalidTokens, [token('dead')]);
+  assert.deepStrictEqual(provider.getSentMessages().map(sent => sent.to), [token('alive'), token('dead')]);
+
+  provider.failNextSend();
+  const failedSend = await sendPushNotifications([token('alive')], 'Title', 'Body');
+  assert.strictEqual(failedSend.results[0].errorCode, 'SendFailed');
+});
@@ -0,0 +1,88 @@
+const { supabase, pushProvider, token, resetState, seedUser } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { enqueueNotification, processNotificationQueue, getJobReport } = require('../notificationQueue');
+
+test.beforeEach(resetState);
+
+test('sends queued messages, logs them and removes dead tokens', async () => {
+  seedUser('u1');
+  seedUser('u2');
+  pushProvider.failToken(token('u2'), 'DeviceNotRegistered');
+
+  const job = await enqueueNotification([{ userId: 'u1' }, { userId: 'u2' }], {
+    type: 'direct',
+    title: 'Title',
+    body: 'Body'
+  });
+  await processNotificationQueue();
+
+  const report = await getJobReport(job.jobId);
+  assert.strictEqual(report.status, 'completed');
+  assert.strictEqual(report.counts.sent, 1);
+  assert.strictEqual(report.counts.failed, 1);
+  assert.strictEqual(report.unsent[0].errorCode, 'DeviceNotRegistered');
+
+  assert.strictEqual(supabase.getRows('notifications').length, 2);
+  assert.deepStrictEqual(supabase.getRows('device_tokens').map(device => device.push_token), [token('u1')]);
+});
+
+test('retries rate-limited messages instead of finishing them', async () => {
+  seedUser('u1');
+  pushProvider.failToken(token('u1'), 'MessageRateExceeded');
+
+  const job = await enqueueNotification([{ userId: 'u1' }], { type: 'direct', title: 'Title', body: 'Body' });
+  await processNotificationQueue();
+
+  const [message] = supabase.getRows('notification_messages');
+  assert.strictEqual(message.status, 'pending');
+  assert.strictEqual(message.attempts, 1);
+  assert.ok(Date.parse(message.next_attempt_at) > Date.now());
+  assert.strictEqual((await getJobReport(job.jobId)).counts.pending, 1);
+});
+
+test('returns the existing job for a repeated idempotency key', async () => {
+  seedUser('u1');
+  const payload = { type: 'direct', title: 'Title', body: 'Body' };
+
+  const first = await enqueueNotification([{ userId: 'u1' }], payload, { idempotencyKey: 'once', createdBy: 'a' });
+  const second = await enqueueNotification([{ userId: 'u1' }], { body: 'Body', title: 'Title', type: 'direct' }, { idempotencyKey: 'once', createdBy: 'a' });
+
+  assert.strictEqual(second.jobId, first.jobId);
+  assert.strictEqual(second.duplicate, true);
+  assert.strictEqual(supabase.getRows('notification_jobs').length, 1);
+
+  // Another caller's key is their own, and a key can't be reused for something else
+  const other = await enqueueNotification([{ userId: 'u1' }], payload, { idempotencyKey: 'once', createdBy: 'b' });
+  assert.notStrictEqual(other.jobId, first.jobId);
+  assert.strictEqual(other.duplicate, false);
+
+  const changed = await enqueueNotification([{ userId: 'u1' }], { ...payload, body: 'Other' }, { idempotencyKey: 'once', createdBy: 'a' });
+  assert.deepStrictEqual(changed, { conflict: true });
+  assert.strictEqual(supabase.getRows('notification_jobs').length, 2);
+});
+
+test('logs a user once per job when their devices finish in different batches', async () => {
+  seedUser('u1');
+  supabase.seed('device_tokens', [{ user_id: 'u1', push_token: token('u1-tablet') }]);
+  pushProvider.failToken(token('u1'), 'DeviceNotRegistered');
+  pushProvider.failToken(token('u1-tablet'), 'MessageRateExceeded');
+
+  await enqueueNotification([{ userId: 'u1' }], { type: 'direct', title: 'Title', body: 'Body' });
+  await processNotificationQueue();
+  assert.deepStrictEqual(supabase.getRows('notifications').map(row => row.status), ['failed']);
+
+  // The retry goes through on the next run
+  pushProvider.reset();
+  await supabase
+    .from('notification_messages')
+    .update({ next_attempt_at: new Date(Date.now() - 1000).toISOString() })
+    .eq('status', 'pending');
+  await processNotificationQueue();
+
+  assert.deepStrictEqual(pushProvider.getSentMessages().map(message => message.to), [token('u1-tablet')]);
+  const notifications = supabase.getRows('notifications');
+  assert.strictEqual(notifications.length, 1);
+  assert.strictEqual(notifications[0].status, 'sent');
+  assert.strictEqual(notifications[0].error_code, null);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderNotification, renderTemplate, renderParams, pluralize, formatDuration, getLanguage } = require('../notificationTemplates');
+
+test('formats durations in hours when they divide evenly', () => {
+  assert.strictEqual(formatDuration(120, 'en'), '2 hours');
+  assert.strictEqual(formatDuration(60, 'en'), '1 hour');
+  assert.strictEqual(formatDuration(15, 'en'), '15 minutes');
+  assert.strictEqual(formatDuration(90, 'en'), '90 minutes');
+});
+
+test('uses Arabic plural forms and digits', () => {
+  assert.strictEqual(pluralize('hour', 1, 'ar'), 'ساعة واحدة');
+  assert.strictEqual(pluralize('hour', 2, 'ar'), 'ساعتين');
+  assert.strictEqual(pluralize('hour', 3, 'ar'), '٣ ساعات');
+  assert.strictEqual(formatDuration(24 * 60, 'ar-EG'), '٢٤ ساعة');
+});
+
+test('renders a template in the recipient language and timezone', () => {
+  const params = {
+    pitchName: 'Pitch 3',
+    leadTime: { duration: 120 },
+    matchTime: { datetime: '2026-07-20T17:00:00.000Z' }
+  };
+
+  assert.strictEqual(
+    renderTemplate('match_reminder', params, { locale: 'en', timezone: 'Africa/Cairo' }).body,
+    'Your match at Pitch 3 starts in 2 hours (Mon, Jul 20, 8:00 PM). Get ready!'
+  );
+
+  // Names stay isolated so they don't reorder the right-to-left sentence
+  const arabic = renderTemplate('match_reminder', params, { locale: 'ar', timezone: 'Africa/Cairo' }).body;
+  assert.ok(arabic.startsWith('مباراتك في ⁨Pitch 3⁩'));
+});
+
+test('falls back to English for languages without a translation', () => {
+  const { body } = renderTemplate('invitation_accepted', { inviteeName: 'Sara', pitchName: 'Pitch 3' }, { locale: 'fr-FR' });
+  assert.strictEqual(body, 'Sara accepted your invite to Pitch 3');
+});
+
+test('renders params in English too when the language has no translation', () => {
+  const params = { matchTime: { datetime: '2026-07-20T17:00:00.000Z' }, leadTime: { duration: 120 } };
+
+  assert.deepStrictEqual(renderParams(params, { locale: 'fr-FR', timezone: 'Africa/Cairo' }), {
+    matchTime: 'Mon, Jul 20, 8:00 PM',
+    leadTime: '2 hours'
+  });
+  // Translated languages keep their regional format
+  assert.strictEqual(renderParams(params, { locale: 'en-GB', timezone: 'Africa/Cairo' }).matchTime, 'Mon 20 Jul, 20:00');
+});
+
+test('prefers templates, then localizations, then the plain text', () => {
+  const payload = { title: 'Hi', body: 'Hello', localizations: { ar: { body: 'مرحبا' } } };
+
+  assert.deepStrictEqual(renderNotification(payload, { locale: 'ar' }), { title: 'Hi', body: 'مرحبا' });
+  assert.deepStrictEqual(renderNotification(payload, { locale: 'en' }), { title: 'Hi', body: 'Hello' });
+  assert.strictEqual(getLanguage('ar_EG'), 'ar');
+});
@@ -0,0 +1,118 @@
+const { supabase, pushProvider, token, resetState } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMockPushProvider } = require('../mockPushProvider');
+const { setPushProvider } = require('../pushProviders');
+const { resetConfig } = require('../config');
+const { sendPushNotifications } = require('../pushNotificationSender');
+
+test.beforeEach(resetState);
+
+// Send through a mock provider whose ticket errors come from MOCK_PUSH_TICKET_ERRORS;
+// `errors` maps a token to its error code
+function useTicketErrors(t, errors = {}) {
+  process.env.MOCK_PUSH_TICKET_ERRORS = Object.entries(errors).map(([to, code]) => `${to}=${code}`).join(',');
+  resetConfig();
+
+  const provider = createMockPushProvider();
+  setPushProvider(provider);
+  t.mock.method(provider, 'sendMessages');
+
+  t.after(() => {
+    delete process.env.MOCK_PUSH_TICKET_ERRORS;
+    resetConfig();
+    setPushProvider(pushProvider);
+  });
+
+  return provider;
+}
+
+test('attributes tickets to the right tokens when malformed tokens are skipped', async t => {
+  useTicketErrors(t, { [token('dead')]: 'DeviceNotRegistered' });
+
+  const result = await sendPushNotifications(
+    ['not-a-token', token('alive'), '', token('dead'), token('also-alive')],
+    'Title',
+    'Body'
+  );
+
+  assert.deepStrictEqual(result.results.map(({ token: to, status }) => [to, status]), [
+    ['not-a-token', 'skipped'],
+    [token('alive'), 'sent'],
+    ['', 'skipped'],
+    [token('dead'), 'failed'],
+    [token('also-alive'), 'sent']
+  ]);
+  assert.deepStrictEqual(result.invalidTokens, [token('dead')]);
+  assert.strictEqual(result.success, 2);
+  assert.strictEqual(result.failed, 1);
+  assert.strictEqual(result.skipped, 2);
+  assert.strictEqual(result.total, 5);
+  assert.strictEqual(result.results[3].errorCode, 'DeviceNotRegistered');
+  assert.strictEqual(result.results[0].error, 'Invalid push token');
+
+  // Accepted tickets are kept for receipt polling
+  assert.deepStrictEqual(
+    supabase.getRows('push_tickets').map(ticket => ticket.push_token),
+    [token('alive'), token('also-alive')]
+  );
+});
+
+test('keeps recipients aligned across chunks', async t => {
+  const tokens = [];
+  const failures = {};
+  for (let i = 0; i < 250; i++) {
+    if (i % 7 === 0) {
+      tokens.push(`malformed-${i}`);
+    } else {
+      tokens.push(token(`device-${i}`));
+      if (i % 10 === 0) {
+        failures[token(`device-${i}`)] = 'DeviceNotRegistered';
+      }
+    }
+  }
+
+  const provider = useTicketErrors(t, failures);
+  const result = await sendPushNotifications(tokens, 'Title', 'Body');
+
+  assert.ok(provider.sendMessages.mock.callCount() > 1);
+  result.results.forEach((recipient, index) => {
+    assert.strictEqual(recipient.token, tokens[index]);
+    if (index % 7 === 0) {
+      assert.strictEqual(recipient.status, 'skipped');
+    } else {
+      assert.strictEqual(recipient.status, failures[tokens[index]] ? 'failed' : 'sent');
+    }
+  });
+  assert.deepStrictEqual(result.invalidTokens, Object.keys(failures));
+});
+
+test('carries user IDs through to each outcome', async t => {
+  useTicketErrors(t, { [token('b')]: 'MessageRateExceeded' });
+
+  const result = await sendPushNotifications([
+    { userId: 'user-a', token: token('a') },
+    { userId: 'user-x', token: 'malformed' },
+    { userId: 'user-b', token: token('b') }
+  ], 'Title', 'Body');
+
+  assert.deepStrictEqual(result.results.map(({ userId, status, errorCode }) => ({ userId, status, errorCode })), [
+    { userId: 'user-a', status: 'sent', errorCode: undefined },
+    { userId: 'user-x', status: 'skipped', errorCode: undefined },
+    { userId: 'user-b', status: 'failed', errorCode: 'MessageRateExceeded' }
+  ]);
+  assert.deepStrictEqual(result.invalidTokens, []);
+});
+
+test('fails only the recipients of a chunk that could not be sent', async t => {
+  const provider = useTicketErrors(t);
+  provider.failNextSend(new Error('Network down'));
+
+  const tokens = Array.from({ length: 150 }, (_, i) => token(`device-${i}`));
+  const result = await sendPushNotifications(tokens, 'Title', 'Body');
+
+  assert.strictEqual(result.failed, 100);
+  assert.strictEqual(result.success, 50);
+  assert.strictEqual(result.results[0].errorCode, 'SendFailed');
+  assert.strictEqual(result.results[149].status, 'sent');
+});
@@ -0,0 +1,39 @@
+const { supabase, pushProvider, resetState, seedUser } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const { processPushReceipts } = require('../pushReceipts');
+
+test.beforeEach(resetState);
+
+// A ticket old enough for its receipt to be checked
+async function sendTicket(pushToken) {
+  const [ticket] = await pushProvider.sendMessages([{ to: pushToken, body: 'Body' }]);
+  supabase.seed('push_tickets', [{
+    ticket_id: ticket.id,
+    push_token: pushToken,
+    created_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+  }]);
+}
+
+test('removes tokens whose receipts say they can no longer be used', async () => {
+  const users = ['ok', 'gone', 'big', 'creds', 'busy'].map(id => seedUser(id));
+  pushProvider.failToken(users[1].pushToken, 'DeviceNotRegistered', { onReceipt: true });
+  pushProvider.failToken(users[2].pushToken, 'MessageTooBig', { onReceipt: true });
+  pushProvider.failToken(users[3].pushToken, 'InvalidCredentials', { onReceipt: true });
+  pushProvider.failToken(users[4].pushToken, 'MessageRateExceeded', { onReceipt: true });
+
+  for (const user of users) {
+    await sendTicket(user.pushToken);
+  }
+
+  await processPushReceipts();
+
+  assert.deepStrictEqual(
+    supabase.getRows('device_tokens').map(device => device.user_id),
+    ['ok', 'busy']
+  );
+  assert.deepStrictEqual(
+    supabase.getRows('push_tickets').map(ticket => ticket.status),
+    ['delivered', 'failed', 'failed', 'failed', 'failed']
+  );
+});
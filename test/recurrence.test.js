@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecurrence, validateRecurrence, getNextRun } = require('../recurrence');
+
+test('parses numbers, ranges, lists and steps', () => {
+  const rule = parseRecurrence('*/15 8-20/4 1,15 * 7');
+
+  assert.deepStrictEqual([...rule.minute], [0, 15, 30, 45]);
+  assert.deepStrictEqual([...rule.hour], [8, 12, 16, 20]);
+  assert.deepStrictEqual([...rule.dayOfMonth], [1, 15]);
+  assert.strictEqual(rule.month.size, 12);
+  assert.strictEqual(rule.monthRestricted, false);
+  // 7 is Sunday, as 0 is
+  assert.ok(rule.dayOfWeek.has(0));
+});
+
+test('rejects malformed and out-of-range expressions', () => {
+  assert.strictEqual(validateRecurrence('0 18 * * 4'), null);
+  assert.match(validateRecurrence('0 18 * *'), /five fields/);
+  assert.match(validateRecurrence(42), /must be a string/);
+  assert.match(validateRecurrence('0 24 * * *'), /hour "24" is out of range/);
+  assert.match(validateRecurrence('0 18 5-1 * *'), /dayOfMonth "5-1" is out of range/);
+  assert.match(validateRecurrence('*/0 18 * * *'), /minute "\*\/0" is out of range/);
+  assert.match(validateRecurrence('0 18 * JAN *'), /Invalid month "JAN"/);
+});
+
+test('finds the next run in the rule\'s timezone', () => {
+  // Friday afternoon in Cairo (UTC+2): the next weekday 09:00 is Monday
+  assert.strictEqual(
+    getNextRun('0 9 * * 1-5', 'Africa/Cairo', new Date('2026-01-16T12:00:00Z')).toISOString(),
+    '2026-01-19T07:00:00.000Z'
+  );
+  // Runs strictly after the given instant
+  assert.strictEqual(
+    getNextRun('0 9 * * *', 'UTC', new Date('2026-01-16T09:00:00Z')).toISOString(),
+    '2026-01-17T09:00:00.000Z'
+  );
+  assert.strictEqual(getNextRun('0 0 31 2 *', 'UTC', new Date('2026-01-16T12:00:00Z')), null);
+});
+
+test('keeps local wall time across DST changes', () => {
+  // Cairo moves to UTC+3 at midnight on 2026-04-24 and back to UTC+2 after 2026-10-29
+  assert.strictEqual(
+    getNextRun('0 18 * * *', 'Africa/Cairo', new Date('2026-04-23T16:00:00Z')).toISOString(),
+    '2026-04-24T15:00:00.000Z'
+  );
+  assert.strictEqual(
+    getNextRun('0 18 * * *', 'Africa/Cairo', new Date('2026-10-29T15:00:00Z')).toISOString(),
+    '2026-10-30T16:00:00.000Z'
+  );
+
+  // 00:30 doesn't exist on the day the clocks spring forward; it runs just after the gap
+  assert.strictEqual(
+    getNextRun('30 0 * * *', 'Africa/Cairo', new Date('2026-04-23T00:00:00Z')).toISOString(),
+    '2026-04-23T22:30:00.000Z'
+  );
+});
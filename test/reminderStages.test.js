@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseStage, getReminderStages, getDueStage } = require('../reminderStages');
+const { resetConfig } = require('../config');
+
+test('parses stages into their lead time', () => {
+  assert.deepStrictEqual(parseStage('2h'), { key: '2h', minutes: 120 });
+  assert.deepStrictEqual(parseStage(' 15m '), { key: '15m', minutes: 15 });
+  assert.strictEqual(parseStage('0h'), null);
+  assert.strictEqual(parseStage('2d'), null);
+});
+
+test('orders configured stages longest first and drops duplicates and typos', t => {
+  t.mock.method(console, 'error', () => {});
+  t.after(() => {
+    delete process.env.MATCH_REMINDER_STAGES;
+    resetConfig();
+  });
+  process.env.MATCH_REMINDER_STAGES = '15m,1h,60m,soon,24h';
+  resetConfig();
+
+  assert.deepStrictEqual(getReminderStages().map(stage => stage.key), ['24h', '1h', '15m']);
+});
+
+test('sends only the closest due stage', () => {
+  const stages = ['24h', '2h', '15m'].map(parseStage);
+
+  const { stage, skipped } = getDueStage(stages, 90, new Set());
+  assert.strictEqual(stage.key, '2h');
+  assert.deepStrictEqual(skipped.map(s => s.key), ['24h']);
+
+  assert.strictEqual(getDueStage(stages, 90, new Set(['24h', '2h'])).stage, null);
+  assert.strictEqual(getDueStage(stages, -5, new Set()).stage, null);
+});
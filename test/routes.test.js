@@ -0,0 +1,256 @@
+const { supabase, pushProvider, ADMIN_KEY, resetState, seedUser, settle } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const app = require('../index');
+
+test.beforeEach(resetState);
+
+test('reports health without authentication', async () => {
+  const res = await request(app).get('/health').expect(200);
+  assert.deepStrictEqual(Object.keys(res.body), ['status', 'timestamp']);
+  assert.strictEqual(res.body.status, 'OK');
+});
+
+test('shows live connection stats to admins only', async () => {
+  const { sessionToken } = seedUser('u1');
+
+  await request(app).get('/events/stats').expect(401);
+  await request(app).get('/events/stats').set('Authorization', `Bearer ${sessionToken}`).expect(403);
+
+  const res = await request(app).get('/events/stats').set('x-api-key', ADMIN_KEY).expect(200);
+  assert.deepStrictEqual(res.body, { users: 0, streams: 0 });
+});
+
+test('rejects missing credentials and the wrong role in each response shape', async () => {
+  const { sessionToken } = seedUser('u1');
+
+  const legacy = await request(app).post('/send-user-notification').send({}).expect(401);
+  assert.deepStrictEqual(legacy.body, { error: 'Authentication required' });
+
+  const versioned = await request(app)
+    .post('/v1/notifications/user')
+    .set('Authorization', `Bearer ${sessionToken}`)
+    .send({})
+    .expect(403);
+  assert.strictEqual(versioned.body.apiVersion, 'v1');
+  assert.strictEqual(versioned.body.error.code, 'forbidden');
+  assert.strictEqual(versioned.body.requestId, versioned.headers['x-request-id']);
+});
+
+test('validates v1 request bodies', async () => {
+  const res = await request(app)
+    .post('/v1/notifications/user')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ userId: 'u1', title: 'Title' })
+    .expect(400);
+
+  assert.strictEqual(res.body.error.code, 'invalid_request');
+  assert.deepStrictEqual(res.body.error.details, [{ field: 'message', message: 'is required' }]);
+
+  const malformed = await request(app)
+    .post('/v1/notifications/user')
+    .set('x-api-key', ADMIN_KEY)
+    .set('Content-Type', 'application/json')
+    .send('{"userId":')
+    .expect(400);
+  assert.strictEqual(malformed.body.error.code, 'invalid_json');
+
+  const halfTime = await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ targetUserId: 'guest', inviterUserId: 'host', gameId: 'g1', gameTime: '18:00' })
+    .expect(400);
+  assert.deepStrictEqual(halfTime.body.error.details, [{ field: 'gameDate', message: 'is required with gameTime' }]);
+
+  const unknown = await request(app).get('/v1/nothing-here').expect(404);
+  assert.strictEqual(unknown.body.error.code, 'not_found');
+});
+
+test('queues a user notification and reports the job once sent', async () => {
+  seedUser('u1');
+
+  const queued = await request(app)
+    .post('/v1/notifications/user')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ userId: 'u1', title: 'Title', message: 'Body' })
+    .expect(202);
+  assert.strictEqual(queued.body.counts.total, 1);
+
+  await settle();
+
+  const report = await request(app)
+    .get(queued.body.statusUrl)
+    .set('x-api-key', ADMIN_KEY)
+    .expect(200);
+  assert.strictEqual(report.body.status, 'completed');
+  assert.strictEqual(report.body.counts.sent, 1);
+
+  const missing = await request(app)
+    .post('/send-user-notification')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ userId: 'nobody', title: 'Title', message: 'Body' })
+    .expect(404);
+  assert.strictEqual(missing.body.code, 'no_recipients');
+});
+
+test('keeps idempotency keys to their caller and refuses reuse for another request', async () => {
+  seedUser('u1');
+  const send = (body, key = 'retry-1') => request(app)
+    .post('/v1/notifications/user')
+    .set('x-api-key', ADMIN_KEY)
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  const first = await send({ userId: 'u1', title: 'Title', message: 'Body' }).expect(202);
+  // 200 or 202, depending on whether the job has finished sending
+  const retry = await send({ userId: 'u1', title: 'Title', message: 'Body' });
+  assert.strictEqual(retry.body.jobId, first.body.jobId);
+  assert.strictEqual(retry.body.duplicate, true);
+
+  const reused = await send({ userId: 'u1', title: 'Title', message: 'Something else' }).expect(422);
+  assert.strictEqual(reused.body.error.code, 'idempotency_key_reused');
+
+  // The same key from a user names their own request, not the admin's job
+  const host = seedUser('host');
+  seedUser('guest');
+  const invitation = await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('Authorization', `Bearer ${host.sessionToken}`)
+    .set('Idempotency-Key', 'retry-1')
+    .send({ targetUserId: 'guest', gameId: 'g1' })
+    .expect(202);
+  assert.notStrictEqual(invitation.body.jobId, first.body.jobId);
+  assert.strictEqual(invitation.body.duplicate, false);
+
+  // Retrying the invitation returns it rather than a duplicate_invitation refusal
+  const again = await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('Authorization', `Bearer ${host.sessionToken}`)
+    .set('Idempotency-Key', 'retry-1')
+    .send({ targetUserId: 'guest', gameId: 'g1' });
+  assert.strictEqual(again.body.invitationId, invitation.body.invitationId);
+  assert.strictEqual(again.body.duplicate, true);
+});
+
+test('registers only valid push tokens for the caller', async () => {
+  const { sessionToken } = seedUser('u1');
+
+  await request(app)
+    .post('/register-device')
+    .set('Authorization', `Bearer ${sessionToken}`)
+    .send({ pushToken: 'not-a-token' })
+    .expect(400);
+
+  await request(app)
+    .post('/register-device')
+    .set('Authorization', `Bearer ${sessionToken}`)
+    .send({ pushToken: 'ExponentPushToken[second-device]', platform: 'ios' })
+    .expect(200);
+
+  const devices = supabase.getRows('device_tokens').filter(device => device.user_id === 'u1');
+  assert.deepStrictEqual(devices.map(device => device.push_token), ['ExponentPushToken[u1]', 'ExponentPushToken[second-device]']);
+});
+
+test('lets the invitee answer an invitation once', async () => {
+  const host = seedUser('host', { fullName: 'Host' });
+  const guest = seedUser('guest');
+  const invitation = {
+    targetUserId: 'guest',
+    title: 'Game invitation',
+    message: 'Join us',
+    gameId: 'g1',
+    pitchName: 'Pitch 1',
+    gameDate: '2030-01-01',
+    gameTime: '18:00'
+  };
+
+  await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('Authorization', `Bearer ${host.sessionToken}`)
+    .send({ ...invitation, inviterUserId: 'guest' })
+    .expect(403);
+
+  // Users can't aim an invitation at an arbitrary device
+  const rawToken = await request(app)
+    .post('/send-game-invitation')
+    .set('Authorization', `Bearer ${host.sessionToken}`)
+    .send({ ...invitation, targetUserToken: 'ExponentPushToken[someone-else]' })
+    .expect(403);
+  assert.deepStrictEqual(rawToken.body.details, ['targetUserToken is only accepted from admins and services']);
+  assert.strictEqual(supabase.getRows('game_invitations').length, 0);
+
+  const sent = await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('Authorization', `Bearer ${host.sessionToken}`)
+    .send(invitation)
+    .expect(202);
+  const { invitationId } = sent.body;
+  assert.ok(invitationId);
+
+  await settle();
+
+  // The localized copy, not the caller's own text
+  const [push] = pushProvider.getSentMessages();
+  assert.match(push.body, /^Host invited you to join a match at Pitch 1 on /);
+
+  await request(app)
+    .post(`/invitations/${invitationId}/accept`)
+    .set('Authorization', `Bearer ${host.sessionToken}`)
+    .expect(404);
+
+  const accepted = await request(app)
+    .post(`/invitations/${invitationId}/accept`)
+    .set('Authorization', `Bearer ${guest.sessionToken}`)
+    .expect(200);
+  assert.strictEqual(accepted.body.status, 'accepted');
+
+  await request(app)
+    .post(`/invitations/${invitationId}/decline`)
+    .set('Authorization', `Bearer ${guest.sessionToken}`)
+    .expect(409);
+});
+
+test('lets admins replace the invitation copy', async () => {
+  seedUser('host', { fullName: 'Host' });
+  seedUser('guest');
+
+  await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ targetUserId: 'guest', inviterUserId: 'host', gameId: 'g1', title: 'Cup final', message: 'You are in the squad' })
+    .expect(202);
+
+  await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ targetUserId: 'guest', inviterUserId: 'host', gameId: 'g2' })
+    .expect(202);
+
+  await settle();
+
+  assert.deepStrictEqual(pushProvider.getSentMessages().map(push => push.body), [
+    'You are in the squad',
+    'Host invited you to join a match'
+  ]);
+});
+
+test('requires API-key callers to name an existing inviter', async () => {
+  seedUser('guest');
+
+  const unnamed = await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ targetUserId: 'guest', gameId: 'g1' })
+    .expect(400);
+  assert.deepStrictEqual(unnamed.body.error.details, [{ field: 'inviterUserId', message: 'is required when calling with an API key' }]);
+
+  const unknown = await request(app)
+    .post('/v1/notifications/game-invitation')
+    .set('x-api-key', ADMIN_KEY)
+    .send({ targetUserId: 'guest', inviterUserId: 'nobody', gameId: 'g1' })
+    .expect(404);
+  assert.strictEqual(unknown.body.error.code, 'inviter_not_found');
+
+  assert.strictEqual(supabase.getRows('game_invitations').length, 0);
+});
@@ -0,0 +1,73 @@
+const { supabase, pushProvider, token, resetState, seedUser, settle } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  validateScheduledBroadcast,
+  createScheduledBroadcast,
+  processScheduledBroadcasts
+} = require('../scheduledBroadcasts');
+
+test.beforeEach(resetState);
+
+// Runs of a scheduled broadcast that got queued, from the log (console.log is
+// mocked in helpers.js)
+function queuedRuns(id) {
+  return console.log.mock.calls
+    .map(call => JSON.parse(call.arguments[0]))
+    .filter(entry => entry.msg === 'Scheduled broadcast queued' && entry.scheduledBroadcastId === id);
+}
+
+test('sends a due run once and moves the schedule to the next run', async () => {
+  seedUser('u1');
+  const { fields } = validateScheduledBroadcast({
+    title: 'Weekly games',
+    message: 'Book your pitch',
+    recurrence: '0 18 * * *',
+    timezone: 'Africa/Cairo'
+  });
+  const scheduled = await createScheduledBroadcast(fields);
+
+  // Make the run due, as if 18:00 had just passed
+  const dueAt = new Date(Date.now() - 60000).toISOString();
+  await supabase.from('scheduled_broadcasts').update({ next_run_at: dueAt }).eq('id', scheduled.id);
+
+  // Two cron processes picking up the same run only send it once
+  await Promise.all([processScheduledBroadcasts(), processScheduledBroadcasts()]);
+  await processScheduledBroadcasts();
+  await settle();
+
+  assert.strictEqual(queuedRuns(scheduled.id).length, 1);
+  const jobs = supabase.getRows('notification_jobs');
+  assert.strictEqual(jobs.length, 1);
+  assert.strictEqual(jobs[0].idempotency_key, `server:scheduled_broadcast:${scheduled.id}:${dueAt}`);
+  assert.deepStrictEqual(pushProvider.getSentMessages().map(message => message.to), [token('u1')]);
+
+  const [row] = supabase.getRows('scheduled_broadcasts');
+  assert.strictEqual(row.status, 'scheduled');
+  assert.strictEqual(row.run_count, 1);
+  assert.strictEqual(row.last_job_id, jobs[0].id);
+  assert.strictEqual(row.last_error, null);
+  assert.ok(Date.parse(row.next_run_at) > Date.now());
+});
+
+test('completes a one-off broadcast after its run', async () => {
+  seedUser('u1');
+  const { fields } = validateScheduledBroadcast({
+    title: 'Pitch closed',
+    message: 'Pitch 3 is closed tonight',
+    sendAt: new Date(Date.now() + 60000).toISOString()
+  });
+  const scheduled = await createScheduledBroadcast(fields);
+
+  await supabase
+    .from('scheduled_broadcasts')
+    .update({ next_run_at: new Date(Date.now() - 1000).toISOString() })
+    .eq('id', scheduled.id);
+  await processScheduledBroadcasts();
+  await processScheduledBroadcasts();
+
+  const [row] = supabase.getRows('scheduled_broadcasts');
+  assert.strictEqual(row.status, 'completed');
+  assert.strictEqual(row.next_run_at, null);
+  assert.strictEqual(supabase.getRows('notification_jobs').length, 1);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { zonedTimeToDate, getTimezoneOffset, isValidTimezone } = require('../timezones');
+const { formatDateTime } = require('../notificationTemplates');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('resolves Cairo wall time in winter (UTC+2) and summer (UTC+3)', () => {
+  assert.strictEqual(
+    zonedTimeToDate('2026-01-20', '20:00:00', 'Africa/Cairo').toISOString(),
+    '2026-01-20T18:00:00.000Z'
+  );
+  assert.strictEqual(
+    zonedTimeToDate('2026-07-20', '20:00:00', 'Africa/Cairo').toISOString(),
+    '2026-07-20T17:00:00.000Z'
+  );
+});
+
+test('does not depend on the server timezone', () => {
+  // Same input as above; a UTC server used to read this as 20:00Z
+  const kickOff = zonedTimeToDate('2026-07-20', '20:00', 'Africa/Cairo');
+  assert.notStrictEqual(kickOff.toISOString(), '2026-07-20T20:00:00.000Z');
+});
+
+test('moves times skipped by spring-forward past the gap', () => {
+  // Cairo: 2026-04-24 00:00 jumps to 01:00
+  assert.strictEqual(
+    zonedTimeToDate('2026-04-24', '00:30', 'Africa/Cairo').toISOString(),
+    '2026-04-23T22:30:00.000Z'
+  );
+  // New York: 2026-03-08 02:00 jumps to 03:00
+  assert.strictEqual(
+    zonedTimeToDate('2026-03-08', '02:30', 'America/New_York').toISOString(),
+    '2026-03-08T07:30:00.000Z'
+  );
+});
+
+test('resolves times repeated by fall-back to the first occurrence', () => {
+  // Cairo: 2026-10-30 00:00 goes back to 2026-10-29 23:00
+  assert.strictEqual(
+    zonedTimeToDate('2026-10-29', '23:30', 'Africa/Cairo').toISOString(),
+    '2026-10-29T20:30:00.000Z'
+  );
+  // New York: 2026-11-01 02:00 goes back to 01:00
+  assert.strictEqual(
+    zonedTimeToDate('2026-11-01', '01:30', 'America/New_York').toISOString(),
+    '2026-11-01T05:30:00.000Z'
+  );
+});
+
+test('keeps wall-clock spacing across a DST change', () => {
+  const before = zonedTimeToDate('2026-04-23', '20:00', 'Africa/Cairo');
+  const after = zonedTimeToDate('2026-04-24', '20:00', 'Africa/Cairo');
+  assert.strictEqual(after - before, 23 * HOUR_MS);
+});
+
+test('reports the offset in effect at an instant', () => {
+  assert.strictEqual(getTimezoneOffset('Africa/Cairo', new Date('2026-01-20T12:00:00Z')), 2 * HOUR_MS);
+  assert.strictEqual(getTimezoneOffset('Africa/Cairo', new Date('2026-07-20T12:00:00Z')), 3 * HOUR_MS);
+  assert.strictEqual(getTimezoneOffset('Asia/Kolkata', new Date('2026-07-20T12:00:00Z')), 5.5 * HOUR_MS);
+});
+
+test('returns an invalid date for malformed input', () => {
+  assert.ok(isNaN(zonedTimeToDate('20/07/2026', '20:00', 'Africa/Cairo').getTime()));
+  assert.ok(isNaN(zonedTimeToDate('2026-07-20', 'evening', 'Africa/Cairo').getTime()));
+});
+
+test('validates IANA timezone names', () => {
+  assert.strictEqual(isValidTimezone('Africa/Cairo'), true);
+  assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+  assert.strictEqual(isValidTimezone(''), false);
+});
+
+test('renders a kick-off in the recipient timezone', () => {
+  const kickOff = zonedTimeToDate('2026-07-20', '20:00', 'Africa/Cairo').toISOString();
+  assert.strictEqual(formatDateTime(kickOff, 'en-US', 'Africa/Cairo'), 'Mon, Jul 20, 8:00 PM');
+  assert.strictEqual(formatDateTime(kickOff, 'en-US', 'Europe/London'), 'Mon, Jul 20, 6:00 PM');
+});
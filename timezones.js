@@ -0,0 +1,124 @@
+// Timezones
+// Match dates and times are stored as local wall-clock time at the pitch.
+// These helpers resolve them to absolute instants using the pitch's IANA
+// timezone, independent of the server's own zone (UTC on Railway).
+
+const { getConfig } = require('./config');
+
+const DEFAULT_TIMEZONE = getConfig().defaultTimezone;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat is slow to construct, so keep one per zone
+const formatters = new Map();
+
+/**
+ * Check that a string is an IANA timezone name the runtime knows
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a local date and time in a timezone to an instant
+ * Times skipped by a DST change (e.g. 00:30 when clocks jump from 00:00 to
+ * 01:00) move forward by the length of the gap. Times that occur twice when
+ * clocks go back resolve to the first occurrence.
+ * @param {string} date - Local date, 'YYYY-MM-DD'
+ * @param {string} time - Local time, 'HH:MM' or 'HH:MM:SS'
+ * @param {string} [timezone] - IANA timezone, defaults to DEFAULT_TIMEZONE
+ * @returns {Date} - The instant, or an invalid Date if date or time is malformed
+ */
+function zonedTimeToDate(date, time, timezone) {
+  const dateMatch = DATE_PATTERN.exec(String(date));
+  const timeMatch = TIME_PATTERN.exec(String(time));
+
+  if (!dateMatch || !timeMatch) {
+    return new Date(NaN);
+  }
+
+  const zone = timezone || DEFAULT_TIMEZONE;
+
+  // The wall-clock time read as if it were UTC
+  const wallTime = Date.UTC(
+    Number(dateMatch[1]),
+    Number(dateMatch[2]) - 1,
+    Number(dateMatch[3]),
+    Number(timeMatch[1]),
+    Number(timeMatch[2]),
+    Number(timeMatch[3] || 0)
+  );
+
+  // Offsets change at most once around any wall time, so the offsets a day
+  // either side cover both readings of an ambiguous time
+  const offsetBefore = getTimezoneOffset(zone, new Date(wallTime - DAY_MS));
+  const offsetAfter = getTimezoneOffset(zone, new Date(wallTime + DAY_MS));
+
+  const candidates = [wallTime - offsetBefore, wallTime - offsetAfter]
+    .filter(instant => instant + getTimezoneOffset(zone, new Date(instant)) === wallTime);
+
+  if (candidates.length > 0) {
+    return new Date(Math.min(...candidates));
+  }
+
+  // Skipped by a DST change: keep the offset from before the jump, which
+  // lands the same distance past the jump as the time was past its start
+  return new Date(wallTime - offsetBefore);
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ * (e.g. 3 hours for Africa/Cairo in summer)
+ */
+function getTimezoneOffset(timezone, date) {
+  const parts = {};
+  getFormatter(timezone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const localTime = Date.UTC(
+    Number(parts.year),
+    Number(parts.month) - 1,
+    Number(parts.day),
+    Number(parts.hour),
+    Number(parts.minute),
+    Number(parts.second)
+  );
+
+  return localTime - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  zonedTimeToDate,
+  getTimezoneOffset
+};
@@ -0,0 +1,70 @@
+// Push Token Hygiene
+// Periodically purges device tokens that are unlikely to reach anyone: devices
+// that haven't registered in TOKEN_STALE_DAYS, and tokens that failed
+// TOKEN_MAX_FAILURES sends in a row (see cleanUpTokens). Dead tokens Expo
+// reports as DeviceNotRegistered are already removed when the send fails.
+// Legacy user_profiles.push_token values have no device row and aren't checked.
+
+const { supabase, fetchAllRows } = require('./supabaseClient');
+const { removeTokens } = require('./pushTokens');
+const { getConfig, checkConfig } = require('./config');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('tokenHygiene');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const { tokenStaleDays: STALE_DAYS, tokenMaxFailures: MAX_FAILURES } = getConfig();
+
+/**
+ * Report and purge stale and repeatedly failing device tokens
+ * @param {object} [options] - { dryRun } to report without purging
+ * @returns {Promise<object>} - { dryRun, staleDays, maxFailures, stale, failing, purged }
+ */
+async function runTokenHygiene({ dryRun = false } = {}) {
+  if (!supabase) {
+    return null;
+  }
+
+  logger.info('Starting token hygiene', { dryRun });
+
+  const staleBefore = new Date(Date.now() - STALE_DAYS * DAY_MS).toISOString();
+  const columns = 'push_token, user_id, last_seen_at, failure_count';
+
+  const stale = await fetchAllRows('device_tokens', columns, query => query.lt('last_seen_at', staleBefore));
+  const failing = await fetchAllRows('device_tokens', columns, query => query.gte('failure_count', MAX_FAILURES));
+
+  // A token can be both stale and failing
+  const tokens = [...new Set([...stale, ...failing].map(device => device.push_token))];
+
+  const report = {
+    dryRun,
+    staleDays: STALE_DAYS,
+    maxFailures: MAX_FAILURES,
+    stale: stale.length,
+    failing: failing.length,
+    purged: dryRun ? 0 : await removeTokens(tokens)
+  };
+
+  logger.info('Token hygiene completed', report);
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  checkConfig(['database']);
+  const dryRun = process.argv.includes('--dry-run');
+
+  logger.info('Token Hygiene started');
+  runTokenHygiene({ dryRun }).then(report => {
+    logger.info('Report', report);
+    process.exit(0);
+  }).catch(error => {
+    logger.error('Process failed', { error });
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runTokenHygiene
+};
@@ -0,0 +1,100 @@
+// User Blocks
+// Users can block someone to stop receiving their game invitations.
+
+const { supabase } = require('./supabaseClient');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('userBlocks');
+
+/**
+ * Block a user; blocking someone already blocked is a no-op
+ * @param {string} blockerId - User doing the blocking
+ * @param {string} blockedId - User being blocked
+ */
+async function blockUser(blockerId, blockedId) {
+  const { error } = await supabase
+    .from('user_blocks')
+    .upsert({
+      blocker_id: blockerId,
+      blocked_id: blockedId
+    }, {
+      onConflict: 'blocker_id,blocked_id',
+      ignoreDuplicates: true
+    });
+
+  if (error) {
+    throw new Error(`Failed to block user: ${error.message}`);
+  }
+
+  logger.info('User blocked', { blockerId, blockedId });
+}
+
+/**
+ * Unblock a user
+ * @returns {Promise<boolean>} - Whether the user was blocked
+ */
+async function unblockUser(blockerId, blockedId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .delete()
+    .eq('blocker_id', blockerId)
+    .eq('blocked_id', blockedId)
+    .select('blocked_id');
+
+  if (error) {
+    throw new Error(`Failed to unblock user: ${error.message}`);
+  }
+
+  return (data || []).length > 0;
+}
+
+/**
+ * List the users someone has blocked, most recent first
+ */
+async function listBlockedUsers(blockerId) {
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocked_id, created_at')
+    .eq('blocker_id', blockerId)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to list blocked users: ${error.message}`);
+  }
+
+  return (data || []).map(row => ({
+    userId: row.blocked_id,
+    blockedAt: row.created_at
+  }));
+}
+
+/**
+ * Find which of the given users have blocked someone
+ * @param {string} blockedId - User who may be blocked
+ * @param {string[]} userIds - Users to check
+ * @returns {Promise<Set<string>>} - IDs of the users who blocked them
+ */
+async function getUsersBlocking(blockedId, userIds) {
+  if (userIds.length === 0) {
+    return new Set();
+  }
+
+  const { data, error } = await supabase
+    .from('user_blocks')
+    .select('blocker_id')
+    .eq('blocked_id', blockedId)
+    .in('blocker_id', userIds);
+
+  if (error) {
+    throw new Error(`Failed to check blocks: ${error.message}`);
+  }
+
+  return new Set((data || []).map(row => row.blocker_id));
+}
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  getUsersBlocking
+};
@@ -0,0 +1,42 @@
+// User Profiles
+// Data access for the user_profiles fields the notification server reads
+
+const { supabase } = require('./supabaseClient');
+
+/**
+ * Get the profiles of several users in one lookup
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Map<string, object>>} - Map of user ID to { id, full_name, email } (unknown users are absent)
+ */
+async function getProfiles(userIds) {
+  const profiles = new Map();
+
+  if (userIds.length === 0) {
+    return profiles;
+  }
+
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('id, full_name, email')
+    .in('id', [...new Set(userIds)]);
+
+  if (error) {
+    throw new Error(`Failed to fetch user profiles: ${error.message}`);
+  }
+
+  (data || []).forEach(profile => profiles.set(profile.id, profile));
+  return profiles;
+}
+
+/**
+ * Name to show for a user in notification copy
+ * @param {object|null} profile - From getProfiles
+ */
+function getDisplayName(profile) {
+  return (profile && (profile.full_name || profile.email)) || 'Someone';
+}
+
+module.exports = {
+  getProfiles,
+  getDisplayName
+};
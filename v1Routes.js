@@ -0,0 +1,141 @@
+// v1 Routes
+// Versioned send routes. Every response follows apiContract.js: send routes
+// answer with a send report, errors with { error: { code, message, details } }.
+
+const express = require('express');
+const { ROLES, authenticate, requireRole } = require('./auth');
+const { getJobReport } = require('./notificationQueue');
+const { API_VERSION, sendError, sendJobReport, sendDeliveryReport } = require('./apiContract');
+const { queueBroadcast, queueGameInvitation, queueUserNotification, sendTestNotification } = require('./sendRequests');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('v1Routes');
+
+const router = express.Router();
+
+// Lets shared middleware (e.g. authenticate) answer in the v1 shape
+router.use((req, res, next) => {
+  req.apiVersion = API_VERSION;
+  next();
+});
+
+// Broadcast to every device, or to an audience segment
+router.post('/notifications/broadcast', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const outcome = await queueBroadcast(req.body, queueOptions(req));
+
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
+    if (outcome.dryRun) {
+      return res.json({
+        apiVersion: API_VERSION,
+        requestId: req.requestId,
+        dryRun: true,
+        audience: outcome.audience
+      });
+    }
+
+    await sendQueuedReport(res, outcome.job);
+
+  } catch (error) {
+    logger.error('v1 broadcast error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
+  }
+});
+
+// Invite a user to a game; users may only invite on their own behalf
+router.post('/notifications/game-invitation', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE, ROLES.USER), async (req, res) => {
+  try {
+    const outcome = await queueGameInvitation(req.body, req.auth, queueOptions(req));
+
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
+    await sendQueuedReport(res, outcome.job, { invitationId: outcome.invitation.id });
+
+  } catch (error) {
+    logger.error('v1 game invitation error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
+  }
+});
+
+// Notify every device of one user
+router.post('/notifications/user', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const outcome = await queueUserNotification(req.body, queueOptions(req));
+
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
+    await sendQueuedReport(res, outcome.job);
+
+  } catch (error) {
+    logger.error('v1 user notification error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
+  }
+});
+
+// Send straight to one token, without the queue
+router.post('/notifications/test', authenticate, requireRole(ROLES.ADMIN, ROLES.SERVICE), async (req, res) => {
+  try {
+    const outcome = await sendTestNotification(req.body);
+
+    if (outcome.rejected) {
+      return sendRejection(res, outcome);
+    }
+
+    sendDeliveryReport(res, outcome.delivery.results);
+
+  } catch (error) {
+    logger.error('v1 test notification error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
+  }
+});
+
+// Progress of a queued send, in the same shape as the send response
+// Admins and services can see every job; users only the jobs they created
+router.get('/notification-jobs/:jobId', authenticate, async (req, res) => {
+  try {
+    const job = await getJobReport(req.params.jobId);
+
+    const canView = job && (req.auth.role !== ROLES.USER || job.createdBy === req.auth.userId);
+    if (!canView) {
+      return sendError(res, 404, 'not_found', 'Job not found');
+    }
+
+    sendJobReport(res, job);
+
+  } catch (error) {
+    logger.error('v1 job status error', { error });
+    sendError(res, 500, 'internal_error', 'Internal server error');
+  }
+});
+
+router.use((req, res) => {
+  sendError(res, 404, 'not_found', `No route for ${req.method} /${API_VERSION}${req.path}`);
+});
+
+function queueOptions(req) {
+  return {
+    idempotencyKey: req.get('Idempotency-Key'),
+    createdBy: req.auth.userId
+  };
+}
+
+async function sendQueuedReport(res, job, extra = {}) {
+  const report = await getJobReport(job.jobId);
+  sendJobReport(res, report, { duplicate: job.duplicate, ...extra });
+}
+
+function sendRejection(res, rejection) {
+  if (rejection.retryAfter) {
+    res.set('Retry-After', String(rejection.retryAfter));
+  }
+  sendError(res, rejection.status, rejection.code, rejection.error, rejection.details);
+}
+
+module.exports = router;